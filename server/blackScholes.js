@@ -0,0 +1,33 @@
+// Black-Scholes fair values for European calls and puts.
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly =
+    t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Price of a call ("call") or put ("put") struck at `strike`, with `years` to expiry.
+// At or past expiry (or with zero volatility) this is the discounted intrinsic value.
+function blackScholes(type, spot, strike, volatility, rate, years) {
+  const discount = Math.exp(-rate * years);
+
+  if (years <= 0 || volatility <= 0) {
+    return type === "call"
+      ? Math.max(0, spot - strike * discount)
+      : Math.max(0, strike * discount - spot);
+  }
+
+  const sqrtT = Math.sqrt(years);
+  const d1 = (Math.log(spot / strike) + (rate + 0.5 * volatility * volatility) * years) / (volatility * sqrtT);
+  const d2 = d1 - volatility * sqrtT;
+
+  if (type === "call") {
+    return spot * normCdf(d1) - strike * discount * normCdf(d2);
+  }
+  return strike * discount * normCdf(-d2) - spot * normCdf(-d1);
+}
+
+module.exports = { normCdf, blackScholes };
@@ -0,0 +1,77 @@
+// Server-side bot traders the admin can add in the lobby. Each round a bot turns
+// what it sees of an instrument into a value and a half-spread around it; index.js
+// turns those into a bid, quote or orders and submits them like a player's.
+
+const { randomNormal } = require("./priceEngine");
+
+const MAX_BOTS = 20;
+const MOMENTUM_LOOKBACK = 3; // rounds of stock moves a momentum bot extrapolates
+const MOMENTUM_GAIN = 3;     // options move a few times the stock's percentage
+const INVENTORY_SKEW = 0.02; // market maker shades its value 2% per contract held
+const HALF_SPREAD = 0.05;    // half-spread as a fraction of value
+
+// view: { theo, lastPrice, holding, priceHistory, botError, maxQuoteSize }
+// (lastPrice is the last trade, or theo before the first one; see botLastPrice)
+// -> { value, halfSpread, size? }
+const BOT_STRATEGIES = {
+  // Random noise trader: any value within ±50% of the last price
+  noise: ({ lastPrice }) => ({
+    value: lastPrice * (0.5 + Math.random()),
+    halfSpread: lastPrice * HALF_SPREAD * 2 * Math.random(),
+  }),
+
+  // Fair-value trader: the Black-Scholes value, off by a normal error
+  fairValue: ({ theo, botError }) => ({
+    value: theo * (1 + botError * randomNormal()),
+    halfSpread: theo * HALF_SPREAD,
+  }),
+
+  // Momentum trader: expects the stock's recent move to carry on
+  momentum: ({ lastPrice, priceHistory }) => {
+    const recent = priceHistory.slice(-(MOMENTUM_LOOKBACK + 1));
+    const move = recent.length > 1 ? recent[recent.length - 1].price / recent[0].price - 1 : 0;
+    return {
+      value: lastPrice * (1 + MOMENTUM_GAIN * move),
+      halfSpread: lastPrice * HALF_SPREAD,
+    };
+  },
+
+  // Market maker: quotes around fair value in size, shading away from its inventory
+  marketMaker: ({ theo, holding, maxQuoteSize }) => ({
+    value: theo * (1 - INVENTORY_SKEW * holding),
+    halfSpread: theo * HALF_SPREAD,
+    size: Math.max(1, Math.floor(maxQuoteSize / 2)),
+  }),
+};
+
+const BOT_LABELS = {
+  noise: "Noise",
+  fairValue: "Fair",
+  momentum: "Momentum",
+  marketMaker: "MM",
+};
+
+// First "<Label> Bot N" not already taken in the room
+function botName(strategy, usernames) {
+  const taken = new Set(Object.values(usernames));
+  let n = 1;
+  while (taken.has(`${BOT_LABELS[strategy]} Bot ${n}`)) n++;
+  return `${BOT_LABELS[strategy]} Bot ${n}`;
+}
+
+// Round onto the room's tick grid and inside its price range
+function toTick(price, config) {
+  const clamped = Math.min(config.maxPrice, Math.max(config.minPrice, price));
+  return Number((Math.round(clamped / config.tickSize) * config.tickSize).toFixed(6));
+}
+
+// The bid and ask (at least a tick apart) and size a bot trades one instrument at
+function botPrices(strategy, view, config) {
+  const { value, halfSpread, size = 1 } = BOT_STRATEGIES[strategy](view);
+  const spread = Math.max(halfSpread, config.tickSize);
+  const bid = toTick(value - spread, config);
+  const ask = Math.max(toTick(value + spread, config), toTick(bid + config.tickSize, config));
+  return { bid, ask, size };
+}
+
+module.exports = { MAX_BOTS, BOT_STRATEGIES, botName, botPrices };
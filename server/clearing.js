@@ -0,0 +1,72 @@
+// Clearing rules for single mode, where each player sends one price and the
+// computer is the only counterparty. Every rule takes the bids ranked best-first
+// for the computer ([userID, price] pairs, ties in submission order) and returns
+// { clearingPrice, fills: [{ userID, price, qty }] }.
+
+// Is `price` at least as good for the computer as `limit`?
+function atOrBetter(price, limit, computerSells) {
+  return computerSells ? price >= limit : price <= limit;
+}
+
+// One contract each at the player's own price
+function ownPriceFills(bids) {
+  return bids.map(([userID, price]) => ({ userID, price, qty: 1 }));
+}
+
+// Everyone at or better than the upper median fills at their own price
+function median(ranked, { computerSells }) {
+  const clearingPrice = ranked[Math.ceil(ranked.length / 2) - 1][1];
+  const filled = ranked.filter(([, price]) => atOrBetter(price, clearingPrice, computerSells));
+  return { clearingPrice, fills: ownPriceFills(filled) };
+}
+
+// Same fills as the median rule, but everyone trades at the clearing price
+function uniform(ranked, options) {
+  const { clearingPrice, fills } = median(ranked, options);
+  return { clearingPrice, fills: fills.map((fill) => ({ ...fill, price: clearingPrice })) };
+}
+
+// The computer wants a random 1..quantity contracts and takes the best bids first;
+// the last bid filled sets the price
+function randomQuantity(ranked, { quantity }) {
+  const demand = 1 + Math.floor(Math.random() * quantity);
+  const filled = ranked.slice(0, demand);
+  return { clearingPrice: filled[filled.length - 1][1], fills: ownPriceFills(filled) };
+}
+
+// `quantity` contracts split evenly between everyone at the best price; the
+// leftover contracts go one each to whoever bid there first
+function proRata(ranked, { quantity }) {
+  const best = ranked[0][1];
+  const atBest = ranked.filter(([, price]) => price === best);
+  const share = Math.floor(quantity / atBest.length);
+  const extra = quantity % atBest.length;
+
+  const fills = atBest
+    .map(([userID], i) => ({ userID, price: best, qty: share + (i < extra ? 1 : 0) }))
+    .filter((fill) => fill.qty > 0);
+  return { clearingPrice: best, fills };
+}
+
+// Only the best `quantity` bids fill, each at its own price
+function bestN(ranked, { quantity }) {
+  const filled = ranked.slice(0, quantity);
+  return { clearingPrice: filled[filled.length - 1][1], fills: ownPriceFills(filled) };
+}
+
+const CLEARING_RULES = { median, uniform, randomQuantity, proRata, bestN };
+
+// bids: array of [userID, price] in submission order (at least one).
+// computerSells: true when players are buying from the computer, so higher bids are better.
+// reservation: if set, the computer ignores bids worse than this price before clearing.
+function clearBids(bids, rule, { computerSells, quantity, reservation = null }) {
+  const acceptable = reservation === null
+    ? bids
+    : bids.filter(([, price]) => atOrBetter(price, reservation, computerSells));
+  if (!acceptable.length) return { clearingPrice: null, fills: [] };
+
+  const ranked = [...acceptable].sort((a, b) => (computerSells ? b[1] - a[1] : a[1] - b[1]));
+  return CLEARING_RULES[rule](ranked, { computerSells, quantity });
+}
+
+module.exports = { CLEARING_RULES, clearBids };
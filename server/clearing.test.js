@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { clearBids } = require("./clearing");
+
+const SELLS = { computerSells: true, quantity: 3 };
+const BUYS = { computerSells: false, quantity: 3 };
+
+// [userID, price, qty] per fill, for shorter assertions
+const fillsOf = ({ fills }) => fills.map(({ userID, price, qty }) => [userID, price, qty]);
+
+test("no bids clear nothing", () => {
+  for (const rule of ["median", "uniform", "randomQuantity", "proRata", "bestN"]) {
+    assert.deepEqual(clearBids([], rule, SELLS), { clearingPrice: null, fills: [] });
+  }
+});
+
+test("median: bids at or above the upper median fill at their own price", () => {
+  const result = clearBids([["a", 5], ["b", 7], ["c", 6]], "median", SELLS);
+
+  assert.equal(result.clearingPrice, 6);
+  assert.deepEqual(fillsOf(result), [["b", 7, 1], ["c", 6, 1]]);
+});
+
+test("median: when the computer buys, lower bids are better", () => {
+  const result = clearBids([["a", 5], ["b", 3], ["c", 4]], "median", BUYS);
+
+  assert.equal(result.clearingPrice, 4);
+  assert.deepEqual(fillsOf(result), [["b", 3, 1], ["c", 4, 1]]);
+});
+
+test("median: everyone tied at the clearing price fills", () => {
+  const result = clearBids([["a", 6], ["b", 5], ["c", 5], ["d", 4]], "median", SELLS);
+
+  assert.equal(result.clearingPrice, 5);
+  assert.deepEqual(fillsOf(result), [["a", 6, 1], ["b", 5, 1], ["c", 5, 1]]);
+});
+
+test("median: a single bid clears at its own price", () => {
+  const result = clearBids([["a", 5]], "median", SELLS);
+
+  assert.equal(result.clearingPrice, 5);
+  assert.deepEqual(fillsOf(result), [["a", 5, 1]]);
+});
+
+test("uniform: the median fills, all at the clearing price", () => {
+  const result = clearBids([["a", 5], ["b", 7], ["c", 6]], "uniform", SELLS);
+
+  assert.equal(result.clearingPrice, 6);
+  assert.deepEqual(fillsOf(result), [["b", 6, 1], ["c", 6, 1]]);
+});
+
+test("randomQuantity: the computer takes a random number of the best bids", (t) => {
+  const bids = [["a", 5], ["b", 7], ["c", 6]];
+
+  t.mock.method(Math, "random", () => 0);
+  const one = clearBids(bids, "randomQuantity", SELLS);
+  assert.equal(one.clearingPrice, 7);
+  assert.deepEqual(fillsOf(one), [["b", 7, 1]]);
+
+  t.mock.method(Math, "random", () => 0.99);
+  const all = clearBids(bids, "randomQuantity", SELLS);
+  assert.equal(all.clearingPrice, 5);
+  assert.deepEqual(fillsOf(all), [["b", 7, 1], ["c", 6, 1], ["a", 5, 1]]);
+});
+
+test("randomQuantity: demand beyond the bids fills every bid", (t) => {
+  t.mock.method(Math, "random", () => 0.99);
+  const result = clearBids([["a", 5], ["b", 3]], "randomQuantity", BUYS);
+
+  assert.equal(result.clearingPrice, 5);
+  assert.deepEqual(fillsOf(result), [["b", 3, 1], ["a", 5, 1]]);
+});
+
+test("proRata: the quantity is split between the bids at the best price", () => {
+  const result = clearBids([["a", 6], ["b", 5], ["c", 6]], "proRata", { computerSells: true, quantity: 5 });
+
+  assert.equal(result.clearingPrice, 6);
+  assert.deepEqual(fillsOf(result), [["a", 6, 3], ["c", 6, 2]]);
+});
+
+test("proRata: with fewer contracts than tied bids the earliest fill", () => {
+  const result = clearBids([["a", 6], ["b", 6], ["c", 6]], "proRata", { computerSells: true, quantity: 2 });
+
+  assert.deepEqual(fillsOf(result), [["a", 6, 1], ["b", 6, 1]]);
+});
+
+test("proRata: a lone best bid takes the whole quantity", () => {
+  const result = clearBids([["a", 4], ["b", 5]], "proRata", BUYS);
+
+  assert.equal(result.clearingPrice, 4);
+  assert.deepEqual(fillsOf(result), [["a", 4, 3]]);
+});
+
+test("bestN: the best `quantity` bids fill at their own price", () => {
+  const result = clearBids([["a", 5], ["b", 8], ["c", 6], ["d", 7]], "bestN", SELLS);
+
+  assert.equal(result.clearingPrice, 6);
+  assert.deepEqual(fillsOf(result), [["b", 8, 1], ["d", 7, 1], ["c", 6, 1]]);
+});
+
+test("bestN: ties are broken by submission order", () => {
+  const result = clearBids([["a", 5], ["b", 5], ["c", 5], ["d", 5]], "bestN", SELLS);
+
+  assert.deepEqual(fillsOf(result).map(([userID]) => userID), ["a", "b", "c"]);
+});
+
+test("the reservation price drops worse bids before clearing", () => {
+  const result = clearBids([["a", 5], ["b", 7], ["c", 6]], "median", { ...SELLS, reservation: 6 });
+
+  assert.equal(result.clearingPrice, 7);
+  assert.deepEqual(fillsOf(result), [["b", 7, 1]]);
+});
+
+test("a bid at the reservation price is kept", () => {
+  const result = clearBids([["a", 4], ["b", 6]], "bestN", { ...BUYS, reservation: 4 });
+
+  assert.deepEqual(fillsOf(result), [["a", 4, 1]]);
+});
+
+test("no bid at or better than the reservation clears nothing", () => {
+  const result = clearBids([["a", 5], ["b", 4]], "uniform", { ...SELLS, reservation: 6 });
+
+  assert.deepEqual(result, { clearingPrice: null, fills: [] });
+});
@@ -0,0 +1,63 @@
+// Full record of a finished game, for instructors to grade and analyse offline.
+
+// One row per player per recorded portfolio value: round 0 is the start of the
+// game, then one per closed round, and the last value is the settled "final".
+function portfolioRows(data) {
+  const rows = [];
+  Object.entries(data.positions).forEach(([userID, pos]) => {
+    const history = pos.portfolioHistory || [];
+    history.forEach((value, i) => {
+      rows.push({
+        round: i === history.length - 1 && data.results ? "final" : i,
+        userID,
+        username: data.usernames[userID],
+        value,
+      });
+    });
+  });
+  return rows;
+}
+
+// Flatten final results into one row per player, best ranked first
+function resultRows(data) {
+  const rows = Object.entries(data.results || {}).map(([userID, r]) => ({
+    rank: r.rank,
+    userID,
+    username: r.username,
+    finalCash: r.finalCash,
+    pnl: r.pnl,
+    sharpe: r.sharpe,
+    sortino: r.sortino,
+    maxDrawdown: r.maxDrawdown,
+    calmar: r.calmar,
+    returnPerInventory: r.returnPerInventory,
+    edge: r.edge,
+    spreadCaptured: r.spreadCaptured,
+    maxInventory: r.maxInventory,
+    avgInventory: r.avgInventory,
+    holdings: r.holdings,
+  }));
+  return rows.sort((a, b) => a.rank - b.rank);
+}
+
+// Everything recorded about a room's game, as plain tables keyed by name
+function buildGameRecord(room, data) {
+  return {
+    room,
+    exportedAt: new Date().toISOString(),
+    startTime: data.startTime,
+    volatility: data.volatility,
+    config: data.config,
+    instruments: data.instruments,
+    prices: data.priceHistory,
+    rounds: data.rounds,
+    submissions: data.submissions,
+    events: data.events,
+    signals: data.signals,
+    fills: data.ledger,
+    portfolios: portfolioRows(data),
+    results: resultRows(data),
+  };
+}
+
+module.exports = { buildGameRecord };
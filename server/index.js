@@ -2,6 +2,7 @@ const express = require('express');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const http = require('http');
+const path = require('path');
 
 const app = express();
 app.use(cors({
@@ -16,16 +17,41 @@ app.get('/ping', (req, res) => {
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: "*" } });
 
-const { InMemorySessionStore } = require("./sessionStore");
-const sessionStore = new InMemorySessionStore();
+const { InMemorySessionStore, FileSessionStore } = require("./sessionStore");
+const { InMemoryRoomStore, FileRoomStore } = require("./roomStore");
+
+// Sessions and rooms survive restarts on disk unless STORE=memory
+const STORE_DIR = process.env.STORE_DIR || path.join(__dirname, "data");
+const useFileStore = process.env.STORE !== "memory";
+const sessionStore = useFileStore
+  ? new FileSessionStore(path.join(STORE_DIR, "sessions.json"))
+  : new InMemorySessionStore();
+const roomStore = useFileStore
+  ? new FileRoomStore(path.join(STORE_DIR, "rooms"))
+  : new InMemoryRoomStore();
+
+const { INITIAL_PRICE, randomNormal, randomVolatility, evolvePrice, projectPrice } = require("./priceEngine");
+const { DEFAULT_CONFIG, validateConfig } = require("./roomConfig");
+const { randomFlow, matchQuotes } = require("./quoting");
+const { createBook, placeOrder, cancelOrder, bookDepth, ordersFor } = require("./orderBook");
+const { buildInstruments, intrinsicValue, theoreticalValue } = require("./instruments");
+const { buildGameRecord } = require("./gameRecord");
+const { priceError, sizeError } = require("./validation");
+const { excessCash, fillBreach, riskStatus } = require("./riskLimits");
+const { stepReturns, sharpeRatio, scorePlayer, rankPlayers } = require("./scoring");
+const { clearBids } = require("./clearing");
+const { eventError, publicEvent } = require("./marketEvents");
+const { SIGNAL_TYPES, pickInformed, signalDue, noisyValue, playerSignal } = require("./signals");
+const { MAX_BOTS, BOT_STRATEGIES, botName, botPrices } = require("./bots");
 
 // Session and Room State Management
 const rooms = new Set();
 const adminToRoom = {};
 const playerToRoom = {};
 const roomToAdmin = {};
+const spectatorToRoom = {};
 const roomsData = {};
-const adminHeartbeats = {};
+const hostGraceTimers = {}; // room -> timer that destroys the room if its admin stays away
 
 function randomId() {
   return Math.random().toString(36).substring(2, 12);
@@ -35,47 +61,261 @@ function initRoomData(adminID) {
   return {
     admin: adminID,
     usernames: {},       // userID -> username
+    locked: false,       // true while the admin has closed the room to new players
+    banned: [],          // userIDs the admin banned; they can't rejoin
+    spectators: [],      // userIDs watching read-only; they hold no username or position
     started: false,
     gameOver: false,
     startTime: null,
-    roundInterval: null, // reference to the 30s interval
-    positions: {},       // userID -> { cash, calls, portfolioHistory: [] }
+    config: { ...DEFAULT_CONFIG },
+    roundTimer: null,    // setTimeout handle that closes the current round
+    roundOpen: false,    // true while bids are being accepted
+    roundStartedAt: null,
+    roundDeadline: null, // server timestamp when the current round closes
+    pausedRemaining: null, // ms left in the open round while the clock is paused, else null
+    hostAway: false,     // admin's connection dropped and the grace period is running
+    hostGraceDeadline: null, // server timestamp when an absent admin's room is destroyed
+    instruments: [],     // [{ id, type, strike, label }] listed at game start (see instruments.js)
+    positions: {},       // userID -> { cash, holdings, portfolioHistory: [], ... } (see newPosition)
     bids: {},            // userID -> last submitted bid
+    quotes: {},          // two-sided mode: userID -> { bidPrice, bidSize, askPrice, askSize }
+    books: {},           // order-book mode: instrumentID -> resting player orders (see orderBook.js)
     promptCount: 0,      // how many rounds so far
-    strikePrice: 100,
-    currentPromptType: "sell-call", // either "sell-call" or "buy-call"
+    currentPromptType: "sell-call", // "sell-call"/"buy-call" (computer sells/buys), or the mode name
+    currentInstrument: null, // instrumentID quoted this round (null in order-book mode)
     // --- NEW ---
-    marketPrice: 0,      // track the “last trade” market price for the call
+    marketPrices: {},    // instrumentID -> “last trade” market price
+    underlyingPrice: INITIAL_PRICE,   // current stock price, stepped each round
+    volatility: null,    // hidden from clients, drawn from config range at game start
+    shocks: [],          // pre-drawn GBM shocks; shocks[k] moves the stock into round k (server only)
+    priceHistory: [],    // [{ round, price }] underlying path
+    theo: {},            // instrumentID -> Black-Scholes value for the current round (server only)
+    reservationPrice: null, // single mode: the computer's hidden limit this round, revealed in tradeResults
+    ledger: [],          // append-only, one entry per player fill (see recordFill)
+    submissions: [],     // append-only, every accepted bid, quote, order and cancel (see logSubmission)
+    events: [],          // append-only, admin-injected market events (see applyMarketEvent)
+    informed: [],        // userIDs who receive private signals this game
+    signals: [],         // append-only, every private signal sent (see sendSignals)
+    bots: {},            // botID -> { strategy }; bots are also in usernames and positions (see bots.js)
+    rounds: [],          // [{ round, promptType, instrument, underlyingPrice, clearingPrice, marks }] per closed round
+    results: null,       // final results, kept for export once the game is settled
   };
 }
 
-// --- NEW UTILITY: Sharpe ratio function ---
-function computeSharpeRatio(history) {
-  // history is an array of portfolio values over time
-  if (!history || history.length < 2) return 0;
+// Save a room's current state to the room store (the round timer can't be stored)
+function persistRoom(room) {
+  const data = roomsData[room];
+  if (!data) return;
+
+  const { roundTimer, ...snapshot } = data;
+  roomStore.saveRoom(room, snapshot);
+}
+
+// Fresh position for a player joining or starting a game
+function newPosition(data) {
+  return {
+    cash: data.config.startingCash,
+    holdings: {},        // instrumentID -> contracts held (negative = short)
+    portfolioHistory: [],
+    spreadCaptured: 0,   // two-sided mode: edge earned against own quote mids
+    maxInventory: 0,     // largest absolute position (all instruments) held at a round close
+    inventorySum: 0,     // sum of absolute positions at each round close (for the average)
+    edge: 0,             // total fill edge against the Black-Scholes value
+  };
+}
 
-  // Step returns: (V_t - V_{t-1}) / V_{t-1}
-  const returns = [];
-  for (let i = 1; i < history.length; i++) {
-    const r = (history[i] - history[i - 1]) / history[i - 1];
-    returns.push(r);
+// Add `qty` contracts of an instrument to a position (negative to sell)
+function addHolding(pos, instrumentID, qty) {
+  pos.holdings[instrumentID] = (pos.holdings[instrumentID] || 0) + qty;
+}
+
+function findInstrument(data, instrumentID) {
+  return data.instruments.find((inst) => inst.id === instrumentID);
+}
+
+// Mark-to-market price: stock marks at the underlying; options at their last
+// clearing price, or intrinsic value until they first trade
+function markPrice(data, inst) {
+  if (inst.type === "stock") return data.underlyingPrice;
+  const last = data.marketPrices[inst.id];
+  return last !== undefined ? last : intrinsicValue(inst, data.underlyingPrice);
+}
+
+// instrumentID -> current mark, for clients
+function currentMarks(data) {
+  const marks = {};
+  data.instruments.forEach((inst) => {
+    marks[inst.id] = markPrice(data, inst);
+  });
+  return marks;
+}
+
+// Cash plus every holding at its mark
+function portfolioValue(data, pos) {
+  return data.instruments.reduce(
+    (total, inst) => total + (pos.holdings[inst.id] || 0) * markPrice(data, inst),
+    pos.cash
+  );
+}
+
+// Book a player's fill: move cash and holdings, and append it to the room's ledger
+// with the round's theoretical value. Edge is what the player gained against theo
+// (buying below, selling above). The market price is stamped when the round closes.
+function recordFill(data, userID, instrumentID, side, price, qty) {
+  if (!data.positions[userID]) {
+    data.positions[userID] = newPosition(data);
   }
+  const pos = data.positions[userID];
+  const sign = side === "buy" ? 1 : -1;
+
+  pos.cash -= sign * price * qty;
+  addHolding(pos, instrumentID, sign * qty);
+
+  const theo = data.theo[instrumentID];
+  const edge = sign * (theo - price) * qty;
+  pos.edge += edge;
+
+  data.ledger.push({
+    round: data.promptCount,
+    userID,
+    username: data.usernames[userID],
+    instrument: instrumentID,
+    side,
+    price,
+    qty,
+    theo,
+    edge,
+    marketPrice: null,                    // instrument's mark after the round closes
+    cash: pos.cash,                       // player's cash after the fill
+    position: pos.holdings[instrumentID], // player's holding in the instrument after the fill
+  });
+}
+
+// Why a player's fill would breach the room's position or margin limits, or null if it's allowed
+function tradeBreach(data, userID, instrumentID, side, price, qty) {
+  const pos = data.positions[userID] || newPosition(data);
+  const sign = side === "buy" ? 1 : -1;
+  return fillBreach(pos, instrumentID, sign * qty, sign * price * qty, data.config, data.underlyingPrice);
+}
+
+// Auto-liquidation: a player whose cash no longer covers the minimum plus margin
+// at a round close has every position closed at its mark and their resting orders pulled
+function liquidateBreaches(room) {
+  const data = roomsData[room];
+  if (!data.config.autoLiquidate) return;
+
+  Object.entries(data.positions).forEach(([uid, pos]) => {
+    if (excessCash(pos, data.config, data.underlyingPrice) >= 0) return;
+
+    const fills = [];
+    data.instruments.forEach((inst) => {
+      const qty = pos.holdings[inst.id] || 0;
+      if (!qty) return;
+      const side = qty > 0 ? "sell" : "buy";
+      const price = markPrice(data, inst);
+      recordFill(data, uid, inst.id, side, price, Math.abs(qty));
+      fills.push({ instrument: inst.id, side, qty: Math.abs(qty), price });
+    });
+
+    Object.entries(data.books).forEach(([instrumentID, book]) => {
+      const resting = ordersFor(book, uid);
+      if (!resting.length) return;
+      resting.forEach((o) => cancelOrder(book, o.id, uid));
+      broadcastBook(room, instrumentID, [uid]);
+    });
+
+    if (!fills.length) return;
+    console.log(`Round: ${data.promptCount}, liquidated ${data.usernames[uid]}: ${fills.length} positions`);
+    io.to(uid).emit("positionLiquidated", {
+      round: data.promptCount,
+      reason: "Your cash fell below the margin requirement",
+      fills,
+    });
+  });
+}
+
+// Log a player's bid, quote, order or cancel for the game record
+function logSubmission(data, userID, type, details) {
+  data.submissions.push({
+    round: data.promptCount,
+    time: Date.now(),
+    userID,
+    username: data.usernames[userID],
+    type,
+    ...details,
+  });
+}
+
+// Stamp the current round's ledger entries with each instrument's closing mark
+function markLedger(data) {
+  data.ledger.forEach((entry) => {
+    if (entry.round === data.promptCount && entry.marketPrice === null) {
+      entry.marketPrice = markPrice(data, findInstrument(data, entry.instrument));
+    }
+  });
+}
 
-  const avgR = returns.reduce((a, b) => a + b, 0) / returns.length;
-  // 5% annual, 30 min = 1 year, so each 30s round is 1/60 year => per-step risk-free
-  const rfStep = 0.05 / 60;
+// A player's own fills, without the theo and edge that would reveal the hidden volatility
+function playerBlotter(data, userID) {
+  return data.ledger
+    .filter((entry) => entry.userID === userID)
+    .map(({ theo, edge, ...entry }) => entry);
+}
 
-  // standard deviation
-  const sqDiffs = returns.map((r) => (r - avgR) ** 2);
-  const variance = sqDiffs.reduce((a, b) => a + b, 0) / (returns.length - 1 || 1);
-  const stdev = Math.sqrt(variance);
+// Send each listed player their blotter, and the admin the whole room's ledger
+function emitBlotters(room, userIDs) {
+  const data = roomsData[room];
+  userIDs.forEach((uid) => {
+    io.to(uid).emit("blotter", playerBlotter(data, uid));
+  });
+  io.to(data.admin).emit("roomBlotter", data.ledger);
+}
 
-  const STDEV_THRESHOLD = 1e-10; // Adjust this threshold as needed
-  if (stdev < STDEV_THRESHOLD) return 0;
+// Total absolute contracts held across instruments
+function grossInventory(pos) {
+  return Object.values(pos.holdings).reduce((total, qty) => total + Math.abs(qty), 0);
+}
 
-  if (stdev === 0) return 0;
-  // (avgReturn - riskFreePerStep) / stdev
-  return (avgR - rfStep) / stdev;
+// Fraction of a simulated year covered by one round (a whole game is one year)
+function yearFraction(data) {
+  return 1 / data.config.totalRounds;
+}
+
+// Risk-free return earned by cash over one round
+function riskFreeStep(data) {
+  return data.config.riskFreeRate * yearFraction(data);
+}
+
+// Simulated years from the current round until settlement after the last round
+function yearsToExpiry(data) {
+  return (data.config.totalRounds - data.promptCount) * yearFraction(data);
+}
+
+// Price every instrument off the current underlying for this round's fills
+function updateTheo(data) {
+  const years = yearsToExpiry(data);
+  data.theo = {};
+  data.instruments.forEach((inst) => {
+    data.theo[inst.id] = theoreticalValue(
+      inst,
+      data.underlyingPrice,
+      data.volatility,
+      data.config.riskFreeRate,
+      years
+    );
+  });
+}
+
+// Single mode with a reservation price: draw the computer's hidden limit for this
+// round from a noisy fair value. It stays server-side until the round closes.
+function drawReservationPrice(data) {
+  if (data.config.mode !== "single" || !data.config.reservationPrice) {
+    data.reservationPrice = null;
+    return;
+  }
+  const fair = data.theo[data.currentInstrument];
+  const noisy = fair * (1 + data.config.reservationNoise * randomNormal());
+  data.reservationPrice = Math.max(0, Math.round(noisy * 100) / 100);
 }
 
 // Helper to apply risk-free compounding to each player and record portfolio value
@@ -83,8 +323,8 @@ function applyRiskFreeAndRecord(room) {
   const data = roomsData[room];
   if (!data) return;
 
-  // each 30s step is 1/60 of a year => discrete compounding with 5% annual
-  const rfStep = 0.05 / 60;
+  // each round is 1/totalRounds of a year => discrete compounding at the room's rate
+  const rfStep = riskFreeStep(data);
 
   Object.entries(data.positions).forEach(([userID, pos]) => {
     // Ensure we have portfolioHistory array
@@ -95,105 +335,322 @@ function applyRiskFreeAndRecord(room) {
     // 1) Apply risk-free growth to cash
     pos.cash *= (1 + rfStep);
 
-    // 2) Mark calls to “marketPrice”
-    const portfolioVal = pos.cash + (pos.calls * data.marketPrice);
+    // 2) Mark every holding to market
+    const portfolioVal = portfolioValue(data, pos);
 
     // 3) Record in portfolioHistory
     pos.portfolioHistory.push(portfolioVal);
+
+    // 4) Track inventory risk carried into the next round
+    const inventory = grossInventory(pos);
+    pos.maxInventory = Math.max(pos.maxInventory || 0, inventory);
+    pos.inventorySum = (pos.inventorySum || 0) + inventory;
   });
 }
 
 function broadcastPositionsAndSharpe(room) {
   const data = roomsData[room];
 
-  // 1) Apply risk-free growth & record portfolio
+  // 1) Close out anyone below margin, if the room auto-liquidates
+  liquidateBreaches(room);
+
+  // 2) Apply risk-free growth & record portfolio
   applyRiskFreeAndRecord(room);
 
-  // 2) Compute Sharpe for each player
+  // 3) Compute Sharpe for each player
   Object.entries(data.positions).forEach(([uid, pos]) => {
-    pos.sharpe = computeSharpeRatio(pos.portfolioHistory);
+    pos.sharpe = sharpeRatio(stepReturns(pos.portfolioHistory, data.config.startingCash), riskFreeStep(data));
   });
 
-  // 3) Build an object that includes marketPrice & sharpe for each user
-  const broadcastPositions = {};
+  // 4) Stamp this round's fills with the closing marks and send out blotters
+  markLedger(data);
+  emitBlotters(room, Object.keys(data.positions));
+
+  // 5) Emit updated positions to everyone
+  emitPositions(room);
+
+  // 6) Rank everyone so far on the room's metric
+  emitLeaderboard(room);
+}
+
+// Average absolute holdings over the rounds closed so far. While the game runs the
+// history holds the opening value plus one per closed round, so the live scores and
+// the final results (taken before settlement is appended) use the same rounds.
+function averageInventory(pos) {
+  return (pos.inventorySum || 0) / Math.max(1, pos.portfolioHistory.length - 1);
+}
+
+// Every scoring metric for a position over the rounds closed so far
+function playerScores(data, pos) {
+  return scorePlayer({
+    history: pos.portfolioHistory,
+    startingCash: data.config.startingCash,
+    rfStep: riskFreeStep(data),
+    avgInventory: averageInventory(pos),
+  });
+}
+
+// A position as clients see it, with current marks, value, scores and room to its limits.
+// Edge stays server-side until the results, since it would reveal the theoretical values.
+function positionView(data, pos, marketPrices = currentMarks(data)) {
+  const { edge, ...visible } = pos;
+  return {
+    ...visible,
+    marketPrices,
+    portfolioValue: portfolioValue(data, pos),
+    sharpe: pos.sharpe || 0,
+    scores: playerScores(data, pos),
+    risk: riskStatus(pos, data.config, data.underlyingPrice),
+  };
+}
+
+// Send each player their own position, with current marks & scores, and the
+// admin every position. Players never see each other's, which would give away
+// the standings in rooms that hide or anonymize the leaderboard.
+function emitPositions(room) {
+  const data = roomsData[room];
+  const marketPrices = currentMarks(data);
+
+  const views = {};
   for (const [uid, pos] of Object.entries(data.positions)) {
-    broadcastPositions[uid] = {
-      ...pos,
-      marketPrice: data.marketPrice,
-      sharpe: pos.sharpe,
+    views[uid] = positionView(data, pos, marketPrices);
+    io.to(uid).emit("positionsUpdated", { [uid]: views[uid] });
+  }
+
+  io.to(data.admin).emit("positionsUpdated", views);
+}
+
+// --------------------------------------------
+//  Live leaderboard
+// --------------------------------------------
+
+// Every player's metrics over the rounds closed so far, and their rank on the
+// same metric the final results use
+function liveStandings(data) {
+  const scores = {};
+  let round = 0;
+  Object.entries(data.positions).forEach(([uid, pos]) => {
+    // the history holds the opening value plus one per closed round
+    round = Math.max(round, pos.portfolioHistory.length - 1);
+    scores[uid] = playerScores(data, pos);
+  });
+  return { round, scores, ranks: rankPlayers(scores, data.config.rankingMetric) };
+}
+
+// Ranked rows for the admin's projected screen, with names hidden if the room asks
+function leaderboardView(data, { round, scores, ranks }) {
+  const metric = data.config.rankingMetric;
+  const players = Object.keys(data.usernames);
+  const entries = Object.keys(scores).map((uid) => ({
+    rank: ranks[uid],
+    name: data.config.anonymizeLeaderboard
+      ? `Trader ${players.indexOf(uid) + 1}`
+      : data.usernames[uid],
+    value: scores[uid][metric],
+    pnl: scores[uid].pnl,
+  }));
+  entries.sort((a, b) => a.rank - b.rank);
+  return { round, metric, entries };
+}
+
+// A player's own place: rank out of everyone, and the share of players ranked below them
+function rankView(data, { round, ranks }, userID) {
+  const of = Object.keys(ranks).length;
+  const rank = ranks[userID];
+  return {
+    round,
+    metric: data.config.rankingMetric,
+    rank,
+    of,
+    percentile: of > 1 ? Math.round(((of - rank) / (of - 1)) * 100) : 100,
+  };
+}
+
+// Leaderboard to the admin and spectators and each player's rank to them, unless the room hides it
+function emitLeaderboard(room) {
+  const data = roomsData[room];
+  if (!data.config.showLeaderboard) return;
+
+  const standings = liveStandings(data);
+  const board = leaderboardView(data, standings);
+  io.to(data.admin).emit("leaderboard", board);
+  io.to(spectatorChannel(room)).emit("leaderboard", board);
+  Object.keys(standings.ranks).forEach((uid) => {
+    io.to(uid).emit("leaderboardRank", rankView(data, standings, uid));
+  });
+}
+
+// --------------------------------------------
+//  Order-book mode
+// --------------------------------------------
+
+// A user's resting orders across every instrument's book
+function allOrdersFor(data, userID) {
+  return Object.entries(data.books).flatMap(([instrument, book]) =>
+    ordersFor(book, userID).map((o) => ({ ...o, instrument }))
+  );
+}
+
+// Public depth of one book to the room, and each affected player's own resting orders to them
+function broadcastBook(room, instrumentID, userIDs = []) {
+  const data = roomsData[room];
+
+  io.to(room).emit("bookUpdate", { instrument: instrumentID, ...bookDepth(data.books[instrumentID]) });
+  new Set(userIDs).forEach((uid) => {
+    io.to(uid).emit("myOrders", allOrdersFor(data, uid));
+  });
+}
+
+// Book positions for both sides of a peer-to-peer fill as soon as it happens
+function applyBookFill(room, instrumentID, fill) {
+  const data = roomsData[room];
+
+  recordFill(data, fill.buyer, instrumentID, "buy", fill.price, fill.qty);
+  recordFill(data, fill.seller, instrumentID, "sell", fill.price, fill.qty);
+  emitBlotters(room, [fill.buyer, fill.seller]);
+
+  data.marketPrices[instrumentID] = fill.price;
+
+  const label = findInstrument(data, instrumentID).label;
+  io.to(fill.buyer).emit("orderFilled", { side: "buy", instrument: label, price: fill.price, qty: fill.qty });
+  io.to(fill.seller).emit("orderFilled", { side: "sell", instrument: label, price: fill.price, qty: fill.qty });
+}
+
+// Two-sided mode: random order flow trades against everyone's bid/ask quotes
+function processRoundQuotes(room) {
+  const data = roomsData[room];
+  const allQuotes = Object.entries(data.quotes);
+
+  if (!allQuotes.length) {
+    broadcastPositionsAndSharpe(room);
+    return null;
+  }
+
+  const buyQty = randomFlow(data.config.orderFlowMax);
+  const sellQty = randomFlow(data.config.orderFlowMax);
+  const { fills, bestBid, bestAsk } = matchQuotes(allQuotes, buyQty, sellQty);
+
+  console.log(`Round: ${data.promptCount}, Quotes: ${allQuotes.length}, Flow buys: ${buyQty}, Flow sells: ${sellQty}, Inside: ${bestBid}/${bestAsk}`);
+
+  const tradeResults = {};
+  Object.entries(fills).forEach(([userID, fill]) => {
+    // Each side is checked against the limits after the other has been booked;
+    // a side that would breach them doesn't trade at all
+    const rejected = [];
+    if (fill.bought) {
+      const reason = tradeBreach(data, userID, data.currentInstrument, "buy", fill.bidPrice, fill.bought);
+      if (reason) {
+        rejected.push(`Bid: ${reason}`);
+        fill.bought = 0;
+      } else {
+        recordFill(data, userID, data.currentInstrument, "buy", fill.bidPrice, fill.bought);
+      }
+    }
+    if (fill.sold) {
+      const reason = tradeBreach(data, userID, data.currentInstrument, "sell", fill.askPrice, fill.sold);
+      if (reason) {
+        rejected.push(`Ask: ${reason}`);
+        fill.sold = 0;
+      } else {
+        recordFill(data, userID, data.currentInstrument, "sell", fill.askPrice, fill.sold);
+      }
+    }
+
+    const mid = (fill.bidPrice + fill.askPrice) / 2;
+    fill.spreadCaptured = fill.bought * (mid - fill.bidPrice) + fill.sold * (fill.askPrice - mid);
+    if (data.positions[userID]) data.positions[userID].spreadCaptured += fill.spreadCaptured;
+
+    tradeResults[userID] = {
+      executed: fill.bought + fill.sold > 0,
+      instrument: data.currentInstrument,
+      ...fill,
+      rejected: rejected.length ? rejected.join("; ") : null,
     };
+  });
+
+  // Mark the instrument at the mid of the inside market. A crossed or locked market
+  // has no meaningful mid, so mark at the average price actually traded instead,
+  // or keep the previous mark if nothing traded.
+  let midPrice = null;
+  if (bestBid < bestAsk) {
+    midPrice = (bestBid + bestAsk) / 2;
+  } else {
+    let qty = 0;
+    let notional = 0;
+    Object.values(fills).forEach((fill) => {
+      qty += fill.bought + fill.sold;
+      notional += fill.bought * fill.bidPrice + fill.sold * fill.askPrice;
+    });
+    if (qty > 0) midPrice = notional / qty;
+  }
+  if (midPrice !== null) {
+    data.marketPrices[data.currentInstrument] = midPrice;
   }
 
-  // 4) Emit updated positions to everyone
-  io.to(room).emit("positionsUpdated", broadcastPositions);
+  io.to(room).emit("tradeResults", tradeResults);
+
+  broadcastPositionsAndSharpe(room);
+
+  data.quotes = {};
+  return midPrice;
 }
 
+// Settle the current round's trading; returns the round's clearing price, or null if nothing cleared
 function processRoundBids(room) {
   const data = roomsData[room];
+  if (data.config.mode === "two-sided") {
+    return processRoundQuotes(room);
+  }
+  if (data.config.mode === "order-book") {
+    // Fills were booked as they happened; just accrue, score and mark at the last trade
+    broadcastPositionsAndSharpe(room);
+    return null;
+  }
+
   const allBids = Object.entries(data.bids);
 
   if (!allBids.length) {
     // If no bids this round, just apply risk-free, compute Sharpe, and broadcast
     broadcastPositionsAndSharpe(room);
-    return;
+    return null;
   }
 
-  let sorted;
-  if (data.currentPromptType === "sell-call") {
-    // Computer SELLING calls => highest bids get filled
-    sorted = allBids.sort((a, b) => b[1] - a[1]);
-  } else {
-    // Computer BUYING calls => lowest bids get filled
-    sorted = allBids.sort((a, b) => a[1] - b[1]);
-  }
-
-  // Calculate the median index - rounded up if odd number
-  const medianIndex = Math.ceil(sorted.length / 2) - 1;
-  const medianPrice = sorted[medianIndex][1];
-  
-  console.log(`Round: ${data.promptCount}, Type: ${data.currentPromptType}, Bids: ${sorted.length}, Median Index: ${medianIndex}, Median Price: ${medianPrice}`);
-  
-  // For sell-call: execute bids at or above median
-  // For buy-call: execute bids at or below median
-  const tradeResults = {};
-  
-  sorted.forEach(([userID, bidPx], index) => {
-    // Determine if the bid should be executed
-    let execute = false;
-    
-    if (data.currentPromptType === "sell-call") {
-      // Computer selling calls: execute bids >= median price
-      execute = bidPx >= medianPrice;
-    } else {
-      // Computer buying calls: execute bids <= median price
-      execute = bidPx <= medianPrice;
-    }
-    
-    // Execute the trade if conditions are met
-    if (execute) {
-      if (!data.positions[userID]) {
-        data.positions[userID] = { cash: 0, calls: 0, portfolioHistory: [] };
-      }
-      const pos = data.positions[userID];
+  // Run the room's clearing rule. sell-call: the computer is SELLING, players buy at their bid;
+  // buy-call: the computer is BUYING, players sell at their bid
+  const computerSells = data.currentPromptType === "sell-call";
+  const side = computerSells ? "buy" : "sell";
+  const { clearingPrice, fills } = clearBids(allBids, data.config.clearingRule, {
+    computerSells,
+    quantity: data.config.clearingQuantity,
+    reservation: data.reservationPrice,
+  });
 
-      if (data.currentPromptType === "sell-call") {
-        // user is BUYING calls at their bid price from the computer
-        pos.cash -= bidPx;
-        pos.calls += 1;
-      } else {
-        // user is SELLING calls at their bid price to the computer
-        pos.cash += bidPx;
-        pos.calls -= 1;
-      }
+  console.log(`Round: ${data.promptCount}, Type: ${data.currentPromptType}, Bids: ${allBids.length}, Rule: ${data.config.clearingRule}, Clearing Price: ${clearingPrice}, Fills: ${fills.length}`);
+
+  // Reveal the computer's reservation price, if it had one, now the round is over
+  const base = { instrument: data.currentInstrument };
+  if (data.reservationPrice !== null) base.reservationPrice = data.reservationPrice;
 
-      tradeResults[userID] = { executed: true, price: bidPx };
+  const tradeResults = {};
+  allBids.forEach(([userID]) => {
+    tradeResults[userID] = { ...base, executed: false };
+  });
+
+  fills.forEach(({ userID, price, qty }) => {
+    // Execute the trade only if it stays within the player's limits
+    const rejected = tradeBreach(data, userID, data.currentInstrument, side, price, qty);
+    if (rejected) {
+      tradeResults[userID] = { ...base, executed: false, rejected };
     } else {
-      tradeResults[userID] = { executed: false };
+      recordFill(data, userID, data.currentInstrument, side, price, qty);
+      tradeResults[userID] = { ...base, executed: true, price, qty };
     }
   });
 
-  // Set the market price to the median execution price
-  data.marketPrice = medianPrice;
+  // Mark the instrument at the clearing price, unless nobody met the computer's price
+  if (clearingPrice !== null) {
+    data.marketPrices[data.currentInstrument] = clearingPrice;
+  }
 
   // Let everyone know which trades got executed
   io.to(room).emit("tradeResults", tradeResults);
@@ -203,39 +660,706 @@ function processRoundBids(room) {
 
   // Clear bids for next round
   data.bids = {};
+  return clearingPrice;
+}
+
+
+// Record the underlying price for the current round and tell the room about it.
+// History keeps one price per round, so a mid-round jump replaces the round's entry.
+function recordAndBroadcastPrice(room) {
+  const data = roomsData[room];
+  const last = data.priceHistory[data.priceHistory.length - 1];
+  if (last && last.round === data.promptCount) {
+    last.price = data.underlyingPrice;
+  } else {
+    data.priceHistory.push({ round: data.promptCount, price: data.underlyingPrice });
+  }
+  io.to(room).emit("priceUpdate", {
+    round: data.promptCount,
+    price: data.underlyingPrice,
+  });
+}
+
+// Move the underlying one round forward along its GBM path
+function stepUnderlying(room) {
+  const data = roomsData[room];
+  data.underlyingPrice = evolvePrice(
+    data.underlyingPrice,
+    data.volatility,
+    data.config.riskFreeRate,
+    yearFraction(data),
+    data.shocks[data.promptCount]
+  );
+  recordAndBroadcastPrice(room);
+}
+
+// Send each informed player a noisy reading of the final stock price (where the
+// pre-drawn path ends unless the admin moves it) and/or the hidden volatility,
+// to their own socket room only
+function sendSignals(room) {
+  const data = roomsData[room];
+  const types = SIGNAL_TYPES[data.config.signals];
+  if (!types.length || !signalDue(data.promptCount, data.config.signalEvery)) return;
+  // a round restarted after a pause has already had its signals
+  if (data.signals.some((signal) => signal.round === data.promptCount)) return;
+
+  const actual = {
+    price: projectPrice(
+      data.underlyingPrice,
+      data.volatility,
+      data.config.riskFreeRate,
+      yearFraction(data),
+      data.shocks.slice(data.promptCount + 1)
+    ),
+    volatility: data.volatility,
+  };
+
+  data.informed.forEach((uid) => {
+    types.forEach((type) => {
+      const signal = {
+        round: data.promptCount,
+        userID: uid,
+        username: data.usernames[uid],
+        type,
+        value: noisyValue(actual[type], data.config.signalNoise, randomNormal()),
+        noise: data.config.signalNoise,
+        actual: actual[type],
+      };
+      data.signals.push(signal);
+      io.to(uid).emit("privateSignal", playerSignal(signal));
+    });
+  });
+}
+
+// Apply an admin's market event to the price process, log it and announce it.
+// Jumps move the stock now; a volatility change drives every later step and theo.
+function applyMarketEvent(room, event) {
+  const data = roomsData[room];
+  const entry = {
+    round: data.promptCount,
+    time: Date.now(),
+    type: event.type,
+    headline: event.headline ? event.headline.trim() : null,
+  };
+
+  if (event.type === "jump") {
+    data.underlyingPrice *= 1 + event.percent / 100;
+    entry.percent = event.percent;
+    entry.price = data.underlyingPrice;
+  } else if (event.type === "volatility") {
+    entry.previousVolatility = data.volatility;
+    entry.volatility = event.volatility;
+    data.volatility = event.volatility;
+  }
+  data.events.push(entry);
+  if (event.type !== "headline") {
+    updateTheo(data);
+    drawReservationPrice(data); // the computer reprices along with everyone else
+  }
+
+  io.to(room).emit("marketEvent", publicEvent(entry));
+  if (event.type === "jump") {
+    // players see the new stock price and their re-marked portfolios straight away
+    recordAndBroadcastPrice(room);
+    emitPositions(room);
+  }
+  persistRoom(room);
+}
+
+// --------------------------------------------
+//  Round scheduler
+// --------------------------------------------
+// The server owns round timing so a throttled admin tab can't stall the game.
+
+function roundStartedPayload(data) {
+  return {
+    round: data.promptCount,
+    totalRounds: data.config.totalRounds,
+    roundSeconds: data.config.roundSeconds,
+    promptType: data.currentPromptType,
+    instrument: findInstrument(data, data.currentInstrument) || null,
+    instruments: data.instruments,
+    mode: data.config.mode,
+    maxQuoteSize: data.config.maxQuoteSize,
+    rankingMetric: data.config.rankingMetric,
+    priceRules: {
+      minPrice: data.config.minPrice,
+      maxPrice: data.config.maxPrice,
+      tickSize: data.config.tickSize,
+    },
+    startedAt: data.roundStartedAt,
+    deadline: data.roundDeadline,
+    serverTime: Date.now(),
+  };
+}
+
+// Everything a (re)connecting client needs to rebuild its view of a started game.
+// Players get their own bid, quote, position and fills; the admin gets the room's ledger.
+function stateSnapshot(data, userID) {
+  const isAdmin = data.admin === userID;
+  const isSpectator = data.spectators.includes(userID);
+  const pos = data.positions[userID];
+  const timeRemaining = data.pausedRemaining !== null
+    ? data.pausedRemaining
+    : Math.max(0, data.roundDeadline - Date.now());
+  // Standings only once a round has closed, and only if the room shows them
+  let standings = data.config.showLeaderboard ? liveStandings(data) : null;
+  if (standings && standings.round === 0) standings = null;
+
+  return {
+    ...roundStartedPayload(data),
+    roundOpen: data.roundOpen,
+    timeRemaining,
+    hostAway: data.hostAway,
+    hostGraceDeadline: data.hostGraceDeadline,
+    price: data.underlyingPrice,
+    priceHistory: data.priceHistory,
+    gameOver: data.gameOver,
+    results: data.gameOver ? data.results : null,
+    rounds: data.rounds,
+    events: data.events.map(publicEvent),
+    signals: data.signals.filter((signal) => signal.userID === userID).map(playerSignal),
+    myBid: isAdmin ? null : data.bids[userID] ?? null,
+    myQuote: isAdmin ? null : data.quotes[userID] ?? null,
+    position: pos ? positionView(data, pos) : null,
+    blotter: isAdmin ? data.ledger : playerBlotter(data, userID),
+    leaderboard: standings && (isAdmin || isSpectator) ? leaderboardView(data, standings) : null,
+    myRank: standings && pos ? rankView(data, standings, userID) : null,
+  };
 }
 
+// Decide what is traded in the current round. Single mode alternates the
+// computer selling and buying, giving each instrument one round of each in turn;
+// two-sided mode quotes each instrument in turn; order-book mode trades them all.
+function setRoundPrompt(data) {
+  const count = data.instruments.length;
+  const round = data.promptCount - 1;
+
+  if (data.config.mode === "single") {
+    data.currentPromptType = round % 2 === 0 ? "sell-call" : "buy-call";
+    data.currentInstrument = data.instruments[Math.floor(round / 2) % count].id;
+  } else {
+    data.currentPromptType = data.config.mode;
+    data.currentInstrument =
+      data.config.mode === "two-sided" ? data.instruments[round % count].id : null;
+  }
+}
+
+// Open the current round for bids and schedule its close
+function startRound(room) {
+  const data = roomsData[room];
+  const now = Date.now();
+
+  data.roundOpen = true;
+  data.roundStartedAt = now;
+  data.roundDeadline = now + data.config.roundSeconds * 1000;
+  updateTheo(data);
+  drawReservationPrice(data);
+  sendSignals(room);
+
+  console.log(`Room ${room} round ${data.promptCount} started: ${data.currentPromptType} ${data.currentInstrument || ""}`);
+  io.to(room).emit("roundStarted", roundStartedPayload(data));
+
+  data.roundTimer = setTimeout(() => closeRound(room), data.config.roundSeconds * 1000);
+  runBots(room);
+  persistRoom(room);
+}
+
+// Stop the round clock, remembering how long the open round had left
+// (a round whose deadline already passed gets a full round when resumed)
+function pauseRounds(room) {
+  const data = roomsData[room];
+  if (!data.started || data.gameOver || data.pausedRemaining !== null) return;
+
+  clearTimeout(data.roundTimer);
+  data.roundTimer = null;
+
+  const remaining = data.roundDeadline - Date.now();
+  data.pausedRemaining = remaining > 0 ? remaining : data.config.roundSeconds * 1000;
+}
+
+// Restart the round clock with the time that was left when it paused
+function resumeRounds(room) {
+  const data = roomsData[room];
+  if (data.pausedRemaining === null) return;
+
+  const remaining = data.pausedRemaining;
+  data.pausedRemaining = null;
+
+  if (!data.roundOpen) {
+    startRound(room);
+    return;
+  }
+
+  data.roundDeadline = Date.now() + remaining;
+  data.roundTimer = setTimeout(() => closeRound(room), remaining);
+  io.to(room).emit("roundResumed", {
+    round: data.promptCount,
+    deadline: data.roundDeadline,
+    serverTime: Date.now(),
+  });
+}
+
+// Settle the current round, then either start the next one or end the game
+function closeRound(room) {
+  const data = roomsData[room];
+  if (!data || data.gameOver) return;
+
+  data.roundTimer = null;
+  data.roundOpen = false;
+
+  // Process this round's bids (executes trades, updates marketPrice, Sharpe, etc.)
+  const clearingPrice = processRoundBids(room);
+
+  const summary = {
+    round: data.promptCount,
+    promptType: data.currentPromptType,
+    instrument: data.currentInstrument,
+    underlyingPrice: data.underlyingPrice,
+    clearingPrice,
+    fills: data.ledger.filter((entry) => entry.round === data.promptCount).length,
+    marks: currentMarks(data),
+  };
+  data.rounds.push(summary);
+
+  io.to(room).emit("roundClosed", {
+    ...summary,
+    serverTime: Date.now(),
+  });
+
+  if (data.promptCount >= data.config.totalRounds) {
+    finalizeGame(room);
+    return;
+  }
+
+  // Move to the next round
+  data.promptCount++;
+  setRoundPrompt(data);
+
+  // Evolve the underlying for the new round
+  stepUnderlying(room);
+
+  startRound(room);
+}
+
+// Cancel any pending round close (game ended or room destroyed)
+function stopRounds(room) {
+  const data = roomsData[room];
+  if (!data) return;
+
+  clearTimeout(data.roundTimer);
+  data.roundTimer = null;
+  data.roundOpen = false;
+}
+
+// Settle every position against the server's underlying price and publish results
+function finalizeGame(room) {
+  const data = roomsData[room];
+  if (!data || data.gameOver) return;
+
+  data.gameOver = true;
+  stopRounds(room);
+
+  const finalPx = data.underlyingPrice;
+  const results = {};
+
+  // Every instrument settles at its intrinsic value against the final underlying price
+  const settlement = {};
+  data.instruments.forEach((inst) => {
+    settlement[inst.id] = intrinsicValue(inst, finalPx);
+  });
+
+  for (const [uid, pos] of Object.entries(data.positions)) {
+    // Final cash includes the liquidation value of every holding
+    const finalCash = Object.entries(pos.holdings).reduce(
+      (total, [id, qty]) => total + qty * settlement[id],
+      pos.cash
+    );
+
+    // Calculate last portfolio value for Sharpe ratio
+    if (!pos.portfolioHistory) {
+      pos.portfolioHistory = [];
+    }
+    
+    // Closed rounds only: a round the admin ended early never counted its inventory
+    const avgInventory = averageInventory(pos);
+
+    // Add final portfolio value with holdings at intrinsic value
+    pos.portfolioHistory.push(finalCash);
+    
+    // Score the whole history with every metric the room can rank by
+    const metrics = scorePlayer({
+      history: pos.portfolioHistory,
+      startingCash: data.config.startingCash,
+      rfStep: riskFreeStep(data),
+      avgInventory,
+    });
+
+    // Add detailed results
+    results[uid] = {
+      username: data.usernames[uid],
+      finalCash,
+      ...metrics,
+      holdings: pos.holdings,
+      settlement,
+      instruments: data.instruments,
+      portfolioHistory: pos.portfolioHistory,
+      finalStockPrice: finalPx,
+      volatility: data.volatility,
+      informed: data.informed.includes(uid),
+      signals: data.signals.filter((signal) => signal.userID === uid).map(playerSignal),
+      startingCash: data.config.startingCash,
+      mode: data.config.mode,
+      spreadCaptured: pos.spreadCaptured || 0,
+      maxInventory: pos.maxInventory || 0,
+      avgInventory,
+      edge: pos.edge || 0,
+      fills: data.ledger.filter((entry) => entry.userID === uid),
+    };
+  }
+
+  // Rank on the metric the admin picked
+  const ranks = rankPlayers(results, data.config.rankingMetric);
+  Object.entries(results).forEach(([uid, r]) => {
+    r.rank = ranks[uid];
+    r.rankingMetric = data.config.rankingMetric;
+  });
+
+  data.results = results;
+  persistRoom(room);
+
+  console.log(`Game finalized in room ${room} with final price ${finalPx}`);
+  console.log(`Settlement values: ${JSON.stringify(settlement)}`);
+
+  io.to(room).emit("finalResults", results);
+}
 
 // Destroy a room (if admin disconnects or time out)
 function destroyRoom(room, adminID) {
   if (!room || !roomsData[room]) return;
   console.log('destroying room ', room);
+  stopRounds(room);
   rooms.delete(room);
 
   const idList = Object.keys(roomsData[room].usernames);
   for (let id of idList) {
     delete playerToRoom[id];
   }
+  roomsData[room].spectators.forEach((id) => {
+    delete spectatorToRoom[id];
+  });
 
   io.to(room).emit('roomClosed', room);
-  io.socketsLeave(room);
+  io.socketsLeave([room, spectatorChannel(room)]);
   delete roomsData[room];
+  roomStore.deleteRoom(room);
 
   delete roomToAdmin[room];
   delete adminToRoom[adminID];
-  clearTimeout(adminHeartbeats[adminID]);
+  clearTimeout(hostGraceTimers[room]);
+  delete hostGraceTimers[room];
+}
+
+// Socket.io room for a room's spectators, who get the admin's leaderboard too
+function spectatorChannel(room) {
+  return `spectators:${room}`;
+}
+
+// Stop a user watching whichever room they spectate
+function removeSpectator(userID) {
+  const room = spectatorToRoom[userID];
+  if (!room) return;
+  delete spectatorToRoom[userID];
+
+  const data = roomsData[room];
+  if (data) {
+    data.spectators = data.spectators.filter((id) => id !== userID);
+    persistRoom(room);
+  }
+  io.in(userID).socketsLeave([room, spectatorChannel(room)]);
+}
+
+// Send the current player list to everyone in the room
+function broadcastUserList(room) {
+  io.to(room).emit("updateUserDisp", Object.entries(roomsData[room].usernames));
+}
+
+// Take a player out of a room: tell them (with `event`, "kickPlayer" or
+// "bannedPlayer"), free their seat and drop their socket from the room
+function removePlayer(room, userID, event = "kickPlayer") {
+  const data = roomsData[room];
+
+  io.to(userID).emit(event, userID);
+  io.in(userID).socketsLeave(room);
+
+  delete data.usernames[userID];
+  delete data.positions[userID];
+  delete data.bids[userID];
+  delete data.quotes[userID];
+  delete data.bots[userID];
+  delete playerToRoom[userID];
+}
+
+// --------------------------------------------
+//  Submissions
+// --------------------------------------------
+// Players' sockets and the room's bots send bids, quotes and orders through these
+// same checks. Acks go to the user's own socket room, which a bot doesn't have.
+
+// Single mode: take a player's price for the current round
+function submitBid(room, userID, bidPrice) {
+  const data = roomsData[room];
+
+  let reason = null;
+  if (!data.started || data.gameOver || !data.roundOpen) {
+    reason = "The round is not open";
+  } else if (data.pausedRemaining !== null) {
+    reason = "The round is paused until the host reconnects";
+  } else if (data.config.mode !== "single") {
+    reason = "This game does not take single-price bids";
+  } else {
+    reason = priceError(bidPrice, data.config, "Bid");
+  }
+  if (reason) {
+    io.to(userID).emit("bidRejected", { round: data.promptCount, reason });
+    return;
+  }
+
+  data.bids[userID] = bidPrice;
+  persistRoom(room);
+  logSubmission(data, userID, "bid", {
+    instrument: data.currentInstrument,
+    side: data.currentPromptType === "sell-call" ? "buy" : "sell",
+    price: bidPrice,
+    qty: 1,
+  });
+  io.to(userID).emit("bidAccepted", { round: data.promptCount, price: bidPrice });
+}
+
+// Two-sided mode: take a player's quote { bidPrice, bidSize, askPrice, askSize }
+function submitQuote(room, userID, quote) {
+  const data = roomsData[room];
+  const { bidPrice, bidSize, askPrice, askSize } = quote || {};
+  const maxSize = data.config.maxQuoteSize;
+
+  let reason = null;
+  if (!data.started || data.gameOver || !data.roundOpen) {
+    reason = "The round is not open";
+  } else if (data.pausedRemaining !== null) {
+    reason = "The round is paused until the host reconnects";
+  } else if (data.config.mode !== "two-sided") {
+    reason = "This game does not take two-sided quotes";
+  } else {
+    reason =
+      priceError(bidPrice, data.config, "Bid") ||
+      priceError(askPrice, data.config, "Ask") ||
+      sizeError(bidSize, maxSize, "Bid size") ||
+      sizeError(askSize, maxSize, "Ask size") ||
+      (bidPrice >= askPrice ? "Bid must be below ask" : null);
+  }
+  if (reason) {
+    io.to(userID).emit("quoteRejected", { round: data.promptCount, reason });
+    return;
+  }
+
+  data.quotes[userID] = { bidPrice, bidSize, askPrice, askSize };
+  logSubmission(data, userID, "quote", { instrument: data.currentInstrument, ...data.quotes[userID] });
+  persistRoom(room);
+  io.to(userID).emit("quoteAccepted", { round: data.promptCount, ...data.quotes[userID] });
+}
+
+// Order-book mode: rest or match a player's limit order { instrument, side, price, qty }
+function submitOrder(room, userID, order) {
+  const data = roomsData[room];
+  const { instrument: instrumentID, side, price, qty } = order || {};
+
+  let reason = null;
+  if (!data.started || data.gameOver || !data.roundOpen) {
+    reason = "The round is not open";
+  } else if (data.pausedRemaining !== null) {
+    reason = "The round is paused until the host reconnects";
+  } else if (data.config.mode !== "order-book") {
+    reason = "This game has no order book";
+  } else if (!Object.hasOwn(data.books, instrumentID)) {
+    reason = "Unknown instrument";
+  } else if (side !== "buy" && side !== "sell") {
+    reason = "Side must be buy or sell";
+  } else {
+    reason = priceError(price, data.config) || sizeError(qty, data.config.maxQuoteSize);
+  }
+  if (!reason) {
+    // Limits are checked as if this order and the player's resting orders on the
+    // same side of the book all fill, so no later fill can take them past a limit
+    const resting = ordersFor(data.books[instrumentID], userID).filter((o) => o.side === side);
+    const totalQty = resting.reduce((total, o) => total + o.remaining, qty);
+    const totalCost = resting.reduce((total, o) => total + o.price * o.remaining, price * qty);
+    reason = tradeBreach(data, userID, instrumentID, side, totalCost / totalQty, totalQty);
+  }
+  if (reason) {
+    io.to(userID).emit("orderRejected", { round: data.promptCount, reason });
+    return;
+  }
+
+  const result = placeOrder(data.books[instrumentID], { userID, side, price, qty });
+  if (result.error) {
+    io.to(userID).emit("orderRejected", { round: data.promptCount, reason: result.error });
+    return;
+  }
+
+  io.to(userID).emit("orderAccepted", { ...result.order, instrument: instrumentID, round: data.promptCount });
+  logSubmission(data, userID, "order", { instrument: instrumentID, orderID: result.order.id, side, price, qty });
+
+  const touched = [userID];
+  result.fills.forEach((fill) => {
+    applyBookFill(room, instrumentID, fill);
+    touched.push(fill.buyer, fill.seller);
+  });
+
+  if (result.fills.length) emitPositions(room);
+  broadcastBook(room, instrumentID, touched);
+  persistRoom(room);
+}
+
+// Order-book mode: cancel one of a player's resting orders
+function withdrawOrder(room, userID, orderID, instrumentID) {
+  const data = roomsData[room];
+  if (!data.started || data.config.mode !== "order-book") return;
+
+  const book = Object.hasOwn(data.books, instrumentID) ? data.books[instrumentID] : null;
+  const cancelled = book && cancelOrder(book, orderID, userID);
+  if (!cancelled) {
+    io.to(userID).emit("orderRejected", { round: data.promptCount, reason: "No such open order" });
+    return;
+  }
+
+  io.to(userID).emit("orderCancelled", { ...cancelled, instrument: instrumentID });
+  logSubmission(data, userID, "cancel", {
+    instrument: instrumentID,
+    orderID,
+    side: cancelled.side,
+    price: cancelled.price,
+    qty: cancelled.remaining,
+  });
+  broadcastBook(room, instrumentID, [userID]);
+  persistRoom(room);
 }
 
-// Set up a heartbeat to check admin presence
-setInterval(() => {
-  io.to('adminRoom').emit('heartbeat');
-}, 5000);
+// --------------------------------------------
+//  Bots
+// --------------------------------------------
+
+// What noise and momentum bots price from: an option's last trade once it has one,
+// else its theo (an untraded option marks at intrinsic, 0 out of the money)
+function botLastPrice(data, inst) {
+  const last = data.marketPrices[inst.id];
+  if (inst.type === "stock" || typeof last !== "number") return data.theo[inst.id];
+  return last;
+}
 
-function setHeartbeatTimeout(ID) {
-  adminHeartbeats[ID] = setTimeout(() => {
-    console.log('no response from admin ' + ID + ' for room ' + adminToRoom[ID] + ' , deleting...');
-    destroyRoom(adminToRoom[ID], ID);
-  }, 60000);
+// Every bot trades the round just opened: a bid in single mode, a quote in
+// two-sided mode, or a fresh bid and offer on each instrument's book
+function runBots(room) {
+  const data = roomsData[room];
+  const { config } = data;
+
+  Object.entries(data.bots).forEach(([botID, bot]) => {
+    const pos = data.positions[botID];
+    const pricesFor = (inst) =>
+      botPrices(bot.strategy, {
+        theo: data.theo[inst.id],
+        lastPrice: botLastPrice(data, inst),
+        holding: pos.holdings[inst.id] || 0,
+        priceHistory: data.priceHistory,
+        botError: config.botError,
+        maxQuoteSize: config.maxQuoteSize,
+      }, config);
+
+    if (config.mode === "single") {
+      const { bid, ask } = pricesFor(findInstrument(data, data.currentInstrument));
+      // sell-call: the computer sells, so the bot buys at its bid
+      submitBid(room, botID, data.currentPromptType === "sell-call" ? bid : ask);
+    } else if (config.mode === "two-sided") {
+      const { bid, ask, size } = pricesFor(findInstrument(data, data.currentInstrument));
+      submitQuote(room, botID, { bidPrice: bid, bidSize: size, askPrice: ask, askSize: size });
+    } else {
+      data.instruments.forEach((inst) => {
+        // replace last round's orders rather than stacking up against the limits
+        ordersFor(data.books[inst.id], botID).forEach((o) => withdrawOrder(room, botID, o.id, inst.id));
+        const { bid, ask, size } = pricesFor(inst);
+        submitOrder(room, botID, { instrument: inst.id, side: "buy", price: bid, qty: size });
+        submitOrder(room, botID, { instrument: inst.id, side: "sell", price: ask, qty: size });
+      });
+    }
+  });
+}
+
+// --------------------------------------------
+//  Admin liveness
+// --------------------------------------------
+// A room lives as long as its admin is connected. When the admin drops, rounds
+// pause and the room waits `hostGraceSeconds` for them to come back.
+
+function startHostGrace(room) {
+  const data = roomsData[room];
+  if (!data || data.hostAway) return;
+
+  const graceMs = data.config.hostGraceSeconds * 1000;
+  data.hostAway = true;
+  data.hostGraceDeadline = Date.now() + graceMs;
+  pauseRounds(room);
+  persistRoom(room);
+
+  console.log(`Admin of room ${room} disconnected, waiting ${data.config.hostGraceSeconds}s`);
+  io.to(room).emit("hostReconnecting", {
+    deadline: data.hostGraceDeadline,
+    serverTime: Date.now(),
+  });
+
+  hostGraceTimers[room] = setTimeout(() => {
+    console.log(`Admin of room ${room} did not return, deleting...`);
+    destroyRoom(room, data.admin);
+  }, graceMs);
+}
+
+// Admin reconnected: cancel the countdown and restart the round clock
+function endHostGrace(room) {
+  const data = roomsData[room];
+  if (!data || !data.hostAway) return;
+
+  clearTimeout(hostGraceTimers[room]);
+  delete hostGraceTimers[room];
+  data.hostAway = false;
+  data.hostGraceDeadline = null;
+
+  console.log(`Admin of room ${room} is back`);
+  io.to(room).emit("hostReturned");
+  resumeRounds(room);
+  persistRoom(room);
+}
+
+// --------------------------------------------
+//  Authorization
+// --------------------------------------------
+// Identity always comes from the session (socket.userID), never from event payloads.
+
+// Room the socket's user hosts, or null after telling them they can't do `action`
+function requireAdmin(socket, action) {
+  const room = adminToRoom[socket.userID];
+  if (!room || roomToAdmin[room] !== socket.userID || !roomsData[room]) {
+    socket.emit("notAuthorized", { action, reason: "Only the room's host can do that" });
+    return null;
+  }
+  return room;
+}
+
+// Room the socket's user plays in, or null after telling them they can't do `action`
+function requirePlayer(socket, action) {
+  const room = playerToRoom[socket.userID];
+  if (!room || !roomsData[room] || !roomsData[room].usernames[socket.userID]) {
+    socket.emit("notAuthorized", { action, reason: "You are not a player in a room" });
+    return null;
+  }
+  return room;
 }
 
 io.use((socket, next) => {
@@ -264,28 +1388,32 @@ io.on("connection", (socket) => {
   // We do a naive inference to guess state on reconnect
   let inferredState = 0;
   let possibleClientBehind = false;
+  let spectating = null; // a spectator's page only has the room code from here
 
   const maybeAdminRoom = adminToRoom[socket.userID];
   if (maybeAdminRoom) {
     socket.join(maybeAdminRoom);
-    socket.join('adminRoom');
+    endHostGrace(maybeAdminRoom);
     if (roomsData[maybeAdminRoom].started) {
       inferredState = 4; // admin in game
       possibleClientBehind = true;
     } else {
       inferredState = 1; // admin in pre-game
     }
-  } else {
+  } else if (playerToRoom[socket.userID]) {
     const maybePlayerRoom = playerToRoom[socket.userID];
-    if (maybePlayerRoom) {
-      socket.join(maybePlayerRoom);
-      if (roomsData[maybePlayerRoom].started) {
-        inferredState = 5; // player in game
-        possibleClientBehind = true;
-      } else {
-        inferredState = 3; // player in pre-game
-      }
+    socket.join(maybePlayerRoom);
+    if (roomsData[maybePlayerRoom].started) {
+      inferredState = 5; // player in game
+      possibleClientBehind = true;
+    } else {
+      inferredState = 3; // player in pre-game
     }
+  } else if (spectatorToRoom[socket.userID]) {
+    const spectatedRoom = spectatorToRoom[socket.userID];
+    socket.join([spectatedRoom, spectatorChannel(spectatedRoom)]);
+    inferredState = 6; // spectator, before or during the game
+    spectating = spectatedRoom;
   }
 
   socket.emit("session", {
@@ -293,43 +1421,43 @@ io.on("connection", (socket) => {
     userID: socket.userID,
     pageState: inferredState,
     clientBehind: possibleClientBehind,
+    room: spectating,
   });
 
-  // Listen for heartbeat
-  socket.on('heartbeatResponse', (userID) => {
-    clearTimeout(adminHeartbeats[userID]);
-    setHeartbeatTimeout(userID);
-  });
+  // A view that stayed mounted through a dropped connection resyncs from this;
+  // a freshly loaded page asks again with syncGame once its view mounts
+  const knownRoom = roomsData[maybeAdminRoom || playerToRoom[socket.userID] || spectatorToRoom[socket.userID]];
+  if (knownRoom && knownRoom.started) {
+    socket.emit("stateSnapshot", stateSnapshot(knownRoom, socket.userID));
+  }
 
   // Admin "creates" a room (but game not started yet)
-  socket.on("room-start", (room, userID) => {
+  socket.on("room-start", (room) => {
     if (!room || room.length === 0) return;
+    const userID = socket.userID;
 
     if (rooms.has(room)) {
       socket.leave(room);
       console.log('room name taken');
       io.to(socket.id).emit('roomNameTaken');
     } else {
-      setHeartbeatTimeout(userID);
-      console.log('start heartbeat for', room, userID);
-
       const roomData = initRoomData(userID);
       rooms.add(room);
 
       socket.join(room);
-      socket.join('adminRoom');
 
       adminToRoom[userID] = room;
       roomToAdmin[room] = userID;
       roomsData[room] = roomData;
+      persistRoom(room);
 
       io.to(socket.id).emit('roomStartSuccess');
     }
   });
 
   // Admin starts the game
-  socket.on("startGame", (adminID) => {
-    const room = adminToRoom[adminID];
+  socket.on("startGame", () => {
+    const room = requireAdmin(socket, "startGame");
     if (!room) return;
 
     const data = roomsData[room];
@@ -338,59 +1466,90 @@ io.on("connection", (socket) => {
     data.started = true;
     data.startTime = Date.now();
 
+    // Settings are final now: draw the hidden volatility from the configured range
+    data.volatility = randomVolatility(data.config.volatilityMin, data.config.volatilityMax);
+    data.shocks = Array.from({ length: data.config.totalRounds + 1 }, () => randomNormal());
+
+    // List the configured instruments, each with its own book in order-book mode
+    data.instruments = buildInstruments(data.config);
+    data.marketPrices = {};
+    data.ledger = [];
+    data.submissions = [];
+    data.events = [];
+    data.signals = [];
+    data.rounds = [];
+    data.results = null;
+    data.bids = {};
+    data.quotes = {};
+    data.books = {};
+    data.instruments.forEach((inst) => {
+      data.books[inst.id] = createBook();
+    });
+
+    // Give every player the configured starting cash, in case it changed after they joined
+    Object.keys(data.usernames).forEach((uid) => {
+      data.positions[uid] = newPosition(data);
+    });
+
+    // Choose who gets private signals, if the room sends any (bots wouldn't read them)
+    const humans = Object.keys(data.usernames).filter((uid) => !data.bots[uid]);
+    data.informed = SIGNAL_TYPES[data.config.signals].length
+      ? pickInformed(humans, data.config.signalShare)
+      : [];
+
     // Initialize each player's portfolioHistory with an initial value
     Object.entries(data.positions).forEach(([uid, pos]) => {
       if (!pos.portfolioHistory) pos.portfolioHistory = [];
-      const initVal = pos.cash + pos.calls * data.marketPrice;
+      const initVal = portfolioValue(data, pos);
       pos.portfolioHistory.push(initVal);
     });
 
-    // NO 30-second setInterval here anymore—admin will trigger each round.
-
     // Indicate the game has started
     io.to(room).emit("gameStartedPlayer");
     io.to(socket.id).emit("gameStartedAdmin");
 
-    setTimeout(() => {
-      console.log(`Sending initial prompt to room ${room}: ${data.currentPromptType}`);
-      io.to(room).emit("newTradePrompt", {
-        promptType: data.currentPromptType,
-        round: data.promptCount,
-      });
-    }, 1000);
-
-    // Optionally set a starting round count and prompt type:
+    // First round is the computer selling the first instrument (in single mode)
     data.promptCount = 1;
-    data.currentPromptType = "sell-call";  // for example
+    setRoundPrompt(data);
 
-    // Immediately send the first prompt (just like before)
-    io.to(room).emit("newTradePrompt", {
-      promptType: data.currentPromptType,
-      round: data.promptCount,
-    });
+    recordAndBroadcastPrice(room);
+    startRound(room);
   });
 
-  // Admin triggers the next round
-  socket.on("roundUpdate", (adminID) => {
-    const room = adminToRoom[adminID];
+  // Admin changes room settings while still in the lobby
+  socket.on("updateRoomConfig", (newConfig) => {
+    const room = requireAdmin(socket, "updateRoomConfig");
     if (!room) return;
 
     const data = roomsData[room];
+    if (!data || data.started) return;
 
-    // Process prior round's bids (executes trades, updates marketPrice, Sharpe, etc.)
-    processRoundBids(room);
+    const { config, errors } = validateConfig(newConfig, data.config);
+    if (Object.keys(errors).length > 0) {
+      socket.emit("roomConfigError", errors);
+      return;
+    }
 
-    // Move to the next round
-    data.promptCount++;
-    data.currentPromptType =
-      data.promptCount % 2 === 0 ? "sell-call" : "buy-call";
+    data.config = config;
+    persistRoom(room);
+    socket.emit("roomConfigUpdated", config);
+  });
 
-    // Announce the new trade prompt, just like the old code did
-    console.log("Emitting newTradePrompt with:", data.currentPromptType);
-    io.to(room).emit("newTradePrompt", {
-      promptType: data.currentPromptType,
-      round: data.promptCount,
-    });
+  // Admin's settings form wants the current values
+  socket.on("getRoomConfig", () => {
+    const room = requireAdmin(socket, "getRoomConfig");
+    if (!room) return;
+
+    socket.emit("roomConfigUpdated", roomsData[room].config);
+  });
+
+  // Game or admin view mounted (e.g. after a page refresh) and wants the full game state
+  socket.on("syncGame", () => {
+    const room = adminToRoom[socket.userID] || playerToRoom[socket.userID] || spectatorToRoom[socket.userID];
+    const data = roomsData[room];
+    if (!data || !data.started) return;
+
+    socket.emit("stateSnapshot", stateSnapshot(data, socket.userID));
   });
 
   socket.on('tryRoom', (room) => {
@@ -401,23 +1560,26 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("returnToLobby", (adminID, room) => {
-    // Make sure this is the admin of the room
-    if (adminToRoom[adminID] !== room) return;
-    
+  socket.on("returnToLobby", () => {
+    const room = requireAdmin(socket, "returnToLobby");
+    if (!room) return;
+
     // Get all user IDs in the room and tell them to return to lobby
     io.to(room).emit("returnToLobby");
     
     // Reset room state if needed (optional - depends on your design)
+    stopRounds(room);
     if (roomsData[room]) {
       roomsData[room].started = false;
       roomsData[room].gameOver = false;
       // Reset other game state as needed
+      persistRoom(room);
     }
   });
 
   // Player joins the room
-  socket.on("join-room", (room, username, userID) => {
+  socket.on("join-room", (room, username) => {
+    const userID = socket.userID;
     console.log(`>>> join-room called: userID=${userID} username=${username} => room=${room}`);
     if (!username || !rooms.has(room)) {
       socket.emit("noSuchRoom");
@@ -431,98 +1593,330 @@ io.on("connection", (socket) => {
       return;
     }
 
+    if (data.banned.includes(userID)) {
+      socket.emit("bannedFromRoom");
+      return;
+    }
+    if (data.locked && !data.usernames[userID]) {
+      socket.emit("roomLocked");
+      return;
+    }
+
     // check if username is taken
     if (Object.values(data.usernames).includes(username)) {
       socket.emit("usernameTaken");
       return;
     }
 
+    // A spectator who decides to play stops watching first
+    removeSpectator(userID);
+
     data.usernames[userID] = username;
     playerToRoom[userID] = room;
 
-    // Ensure positions object with $100
+    // Ensure positions object with the room's starting cash
     if (!data.positions[userID]) {
-      data.positions[userID] = { cash: 100, calls: 0, portfolioHistory: [] };
+      data.positions[userID] = newPosition(data);
     }
 
+    persistRoom(room);
+
     socket.join(room);
-    io.to(room).emit("updateUserDisp", Object.entries(data.usernames));
+    broadcastUserList(room);
     socket.emit("joinApproved");
     console.log(`User ${username} joined room ${room}`);
   });
 
-  // Player submits a bid
-  socket.on("submitBid", (bidPrice, userID) => {
-    const room = playerToRoom[userID];
+  // Read-only viewer (a TA or the classroom projector): follows the room's
+  // broadcasts without a username, a position or any way to trade
+  socket.on("join-spectator", (room) => {
+    const userID = socket.userID;
+    if (!rooms.has(room)) {
+      socket.emit("noSuchRoom");
+      return;
+    }
+    const data = roomsData[room];
+    if (adminToRoom[userID] || playerToRoom[userID]) {
+      socket.emit("notAuthorized", { action: "join-spectator", reason: "Leave your room before spectating" });
+      return;
+    }
+    if (data.banned.includes(userID)) {
+      socket.emit("bannedFromRoom");
+      return;
+    }
+
+    removeSpectator(userID);
+    if (!data.spectators.includes(userID)) data.spectators.push(userID);
+    spectatorToRoom[userID] = room;
+    persistRoom(room);
+
+    socket.join([room, spectatorChannel(room)]);
+    socket.emit("spectateApproved", { room, started: data.started });
+    if (data.started) {
+      socket.emit("stateSnapshot", stateSnapshot(data, userID));
+    }
+  });
+
+  socket.on("leave-spectator", () => {
+    removeSpectator(socket.userID);
+  });
+
+  // --------------------------------------------
+  //  Lobby management (admin only)
+  // --------------------------------------------
+
+  // Admin (re)loads the lobby: room code, players and lock state
+  socket.on("getAdminData", () => {
+    const room = requireAdmin(socket, "getAdminData");
     if (!room) return;
+    const data = roomsData[room];
 
+    socket.emit("giveAdminData", {
+      code: room,
+      users: Object.entries(data.usernames),
+      locked: data.locked,
+    });
+  });
+
+  // Admin removes a player; they may join again
+  socket.on("kickPlayer", (userID) => {
+    const room = requireAdmin(socket, "kickPlayer");
+    if (!room) return;
     const data = roomsData[room];
-    if (!data || !data.started || data.gameOver) return;
+    if (!data.usernames[userID]) return;
 
-    data.bids[userID] = bidPrice;
+    console.log(`Kicking ${data.usernames[userID]} from room ${room}`);
+    removePlayer(room, userID);
+    persistRoom(room);
+    broadcastUserList(room);
   });
 
-  // Admin finalizes the game with final underlying price
-  socket.on("finalizeGame", (adminID, finalPx) => {
-    const room = adminToRoom[adminID];
+  // Admin removes a player and blocks their userID from rejoining
+  socket.on("banPlayer", (userID) => {
+    const room = requireAdmin(socket, "banPlayer");
     if (!room) return;
-  
     const data = roomsData[room];
-    if (!data) return;
-  
-    data.gameOver = true;
-    if (data.roundInterval) {
-      clearInterval(data.roundInterval);
+    if (!data.usernames[userID]) return;
+
+    console.log(`Banning ${data.usernames[userID]} from room ${room}`);
+    data.banned.push(userID);
+    removePlayer(room, userID, "bannedPlayer");
+    persistRoom(room);
+    broadcastUserList(room);
+  });
+
+  // Admin adds a bot trader with one of the strategies in bots.js
+  socket.on("addBot", (strategy) => {
+    const room = requireAdmin(socket, "addBot");
+    if (!room) return;
+    const data = roomsData[room];
+    if (data.started) return;
+
+    if (!Object.hasOwn(BOT_STRATEGIES, strategy)) {
+      socket.emit("botRejected", "Unknown bot strategy");
+      return;
     }
-  
-    const strike = 100; // Hard-coded strike price for all calls
-    const results = {};
-  
-    for (const [uid, pos] of Object.entries(data.positions)) {
-      // Calculate intrinsic value of calls (max of 0 and underlying price minus strike)
-      const callIntrinsicValue = Math.max(0, finalPx - strike);
-      
-      // Final cash includes the liquidation value of any calls at intrinsic value
-      const finalCash = pos.cash + (pos.calls * callIntrinsicValue);
-  
-      // Calculate last portfolio value for Sharpe ratio
-      if (!pos.portfolioHistory) {
-        pos.portfolioHistory = [];
-      }
-      
-      // Add final portfolio value with calls at intrinsic value
-      pos.portfolioHistory.push(finalCash);
-      
-      // Compute final Sharpe ratio
-      const shrp = computeSharpeRatio(pos.portfolioHistory);
-  
-      // Add detailed results
-      results[uid] = {
-        username: data.usernames[uid],
-        finalCash,
-        sharpe: shrp,
-        calls: pos.calls,
-        callIntrinsicValue,
-        portfolioHistory: pos.portfolioHistory,
-        finalStockPrice: finalPx
-      };
+    if (Object.keys(data.bots).length >= MAX_BOTS) {
+      socket.emit("botRejected", `A room can have at most ${MAX_BOTS} bots`);
+      return;
     }
-  
-    console.log(`Game finalized in room ${room} with final price ${finalPx} and strike ${strike}`);
-    console.log(`Call intrinsic value: ${Math.max(0, finalPx - strike)}`);
-    
-    io.to(room).emit("finalResults", results);
+
+    const botID = `bot-${randomId()}`;
+    data.usernames[botID] = botName(strategy, data.usernames);
+    data.bots[botID] = { strategy };
+    console.log(`Added ${data.usernames[botID]} to room ${room}`);
+    persistRoom(room);
+    broadcastUserList(room);
+  });
+
+  // Admin opens or closes the room to new players (players already in stay)
+  socket.on("setRoomLocked", (locked) => {
+    const room = requireAdmin(socket, "setRoomLocked");
+    if (!room) return;
+    const data = roomsData[room];
+
+    data.locked = Boolean(locked);
+    persistRoom(room);
+    io.to(room).emit("roomLockChanged", data.locked);
+  });
+
+  // Admin replaces a player's username
+  socket.on("renamePlayer", (userID, newName) => {
+    const room = requireAdmin(socket, "renamePlayer");
+    if (!room) return;
+    const data = roomsData[room];
+    if (!data.usernames[userID]) return;
+
+    const name = typeof newName === "string" ? newName.trim() : "";
+    if (!name || name.length > 15) {
+      socket.emit("renameRejected", "Usernames must be 1-15 characters");
+      return;
+    }
+    if (Object.entries(data.usernames).some(([uid, taken]) => uid !== userID && taken === name)) {
+      socket.emit("usernameTaken");
+      return;
+    }
+
+    data.usernames[userID] = name;
+    persistRoom(room);
+    io.to(userID).emit("renamed", name);
+    broadcastUserList(room);
+  });
+
+  // Admin hands the room to one of its players before the game starts. The new
+  // host leaves the player list; the old host goes back to the landing page.
+  socket.on("transferHost", (userID) => {
+    const oldAdmin = socket.userID;
+    const room = requireAdmin(socket, "transferHost");
+    if (!room) return;
+    const data = roomsData[room];
+    if (data.started || !data.usernames[userID] || data.bots[userID]) return;
+
+    delete data.usernames[userID];
+    delete data.positions[userID];
+    delete playerToRoom[userID];
+
+    data.admin = userID;
+    delete adminToRoom[oldAdmin];
+    adminToRoom[userID] = room;
+    roomToAdmin[room] = userID;
+
+    io.in(oldAdmin).socketsLeave(room);
+
+    persistRoom(room);
+    console.log(`Room ${room} handed from ${oldAdmin} to ${userID}`);
+
+    io.to(oldAdmin).emit("hostTransferred");
+    io.to(userID).emit("becameHost", { code: room });
+    broadcastUserList(room);
   });
 
-  // If admin disconnects, destroy the room
+  // Player submits a bid
+  socket.on("submitBid", (bidPrice) => {
+    const room = requirePlayer(socket, "submitBid");
+    if (!room) return;
+    submitBid(room, socket.userID, bidPrice);
+  });
+
+  // Player submits a two-sided quote: { bidPrice, bidSize, askPrice, askSize }
+  socket.on("submitQuote", (quote) => {
+    const room = requirePlayer(socket, "submitQuote");
+    if (!room) return;
+    submitQuote(room, socket.userID, quote);
+  });
+
+  // Order-book mode: player places a limit order { instrument, side, price, qty }
+  socket.on("placeOrder", (order) => {
+    const room = requirePlayer(socket, "placeOrder");
+    if (!room) return;
+    submitOrder(room, socket.userID, order);
+  });
+
+  // Order-book panel (re)mounted and wants the current depth and its own orders
+  socket.on("getBook", () => {
+    const data = roomsData[playerToRoom[socket.userID]];
+    if (!data || data.config.mode !== "order-book") return;
+
+    Object.entries(data.books).forEach(([instrument, book]) => {
+      socket.emit("bookUpdate", { instrument, ...bookDepth(book) });
+    });
+    socket.emit("myOrders", allOrdersFor(data, socket.userID));
+  });
+
+  // Order-book mode: player cancels one of their resting orders
+  socket.on("cancelOrder", (orderID, instrumentID) => {
+    const room = requirePlayer(socket, "cancelOrder");
+    if (!room) return;
+    withdrawOrder(room, socket.userID, orderID, instrumentID);
+  });
+
+  // Admin injects a price jump, volatility change or headline
+  socket.on("triggerMarketEvent", (event) => {
+    const room = requireAdmin(socket, "triggerMarketEvent");
+    if (!room) return;
+    const data = roomsData[room];
+
+    let reason = null;
+    if (!data.started || data.gameOver) {
+      reason = "The game is not running";
+    } else {
+      reason = eventError(event);
+    }
+    if (reason) {
+      socket.emit("marketEventRejected", { reason });
+      return;
+    }
+
+    applyMarketEvent(room, event);
+  });
+
+  // Admin ends the game early
+  socket.on("finalizeGame", () => {
+    const room = requireAdmin(socket, "finalizeGame");
+    if (!room) return;
+
+    finalizeGame(room);
+  });
+
+  // Admin downloads the full record of a finished game
+  socket.on("exportGame", () => {
+    const room = requireAdmin(socket, "exportGame");
+    if (!room) return;
+    const data = roomsData[room];
+    if (!data.results) return;
+
+    socket.emit("gameExport", buildGameRecord(room, data));
+  });
+
+  // If the admin's last connection drops, give them the grace period to come back
   socket.on("disconnect", () => {
     const room = adminToRoom[socket.userID];
-    if (room) {
-      destroyRoom(room, socket.userID);
+    if (!room) return;
+
+    const stillConnected = io.sockets.adapter.rooms.get(socket.userID);
+    if (!stillConnected || stillConnected.size === 0) {
+      startHostGrace(room);
     }
   });
 });
 
+// Bring back every stored room, with its admin and players, after a restart
+function restoreRooms() {
+  Object.entries(roomStore.loadRooms()).forEach(([room, stored]) => {
+    // Fields added since the snapshot was written fall back to their defaults
+    const data = { ...initRoomData(stored.admin), ...stored };
+    data.config = { ...DEFAULT_CONFIG, ...stored.config };
+    rooms.add(room);
+    roomsData[room] = data;
+    adminToRoom[data.admin] = room;
+    roomToAdmin[room] = data.admin;
+    Object.keys(data.usernames).forEach((uid) => {
+      playerToRoom[uid] = room;
+    });
+    data.spectators.forEach((uid) => {
+      spectatorToRoom[uid] = room;
+    });
+
+    // Nobody is connected after a restart: the game stays paused until the
+    // admin is back, and the room goes away if they never return
+    data.roundTimer = null;
+    data.hostAway = false;
+    startHostGrace(room);
+    console.log(`Restored room ${room}${data.started && !data.gameOver ? ` at round ${data.promptCount}` : ""}`);
+  });
+}
+
+restoreRooms();
+
+// Write pending room and session changes before the process exits
+["SIGINT", "SIGTERM"].forEach((signal) => {
+  process.on(signal, () => {
+    roomStore.flush();
+    sessionStore.flush();
+    process.exit(0);
+  });
+});
+
 const PORT = process.env.PORT || 4000;
 
 server.listen(PORT, () => {
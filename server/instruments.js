@@ -0,0 +1,43 @@
+// Tradable instruments in a room: calls and puts at configured strikes,
+// and optionally the underlying stock itself.
+
+const { blackScholes } = require("./blackScholes");
+
+const STOCK_ID = "STOCK";
+
+// Build the room's instrument list from its config
+function buildInstruments(config) {
+  const instruments = [];
+
+  config.callStrikes.forEach((strike) => {
+    instruments.push({ id: `C${strike}`, type: "call", strike, label: `Call ${strike}` });
+  });
+  config.putStrikes.forEach((strike) => {
+    instruments.push({ id: `P${strike}`, type: "put", strike, label: `Put ${strike}` });
+  });
+  if (config.includeStock) {
+    instruments.push({ id: STOCK_ID, type: "stock", strike: null, label: "Stock" });
+  }
+
+  return instruments;
+}
+
+// Value of one unit at expiry with the underlying at `spot`
+function intrinsicValue(instrument, spot) {
+  switch (instrument.type) {
+    case "call":
+      return Math.max(0, spot - instrument.strike);
+    case "put":
+      return Math.max(0, instrument.strike - spot);
+    default:
+      return spot;
+  }
+}
+
+// Black-Scholes fair value of one unit with `years` left until settlement
+function theoreticalValue(instrument, spot, volatility, rate, years) {
+  if (instrument.type === "stock") return spot;
+  return blackScholes(instrument.type, spot, instrument.strike, volatility, rate, years);
+}
+
+module.exports = { buildInstruments, intrinsicValue, theoreticalValue };
@@ -0,0 +1,53 @@
+// Market events the admin can inject mid-game: a jump in the stock price,
+// a change of the hidden volatility, or a plain news headline.
+// event: { type, percent?, volatility?, headline? }
+
+const EVENT_TYPES = ["jump", "volatility", "headline"];
+const MAX_HEADLINE = 140;
+
+// Reason `event` can't be applied, or null if it's fine
+function eventError(event) {
+  if (!event || !EVENT_TYPES.includes(event.type)) {
+    return `Event type must be one of ${EVENT_TYPES.join(", ")}`;
+  }
+
+  const { headline } = event;
+  if (headline !== undefined && headline !== null && headline !== "") {
+    if (typeof headline !== "string" || headline.trim().length > MAX_HEADLINE) {
+      return `Headline must be at most ${MAX_HEADLINE} characters`;
+    }
+  } else if (event.type === "headline") {
+    return "Headline cannot be empty";
+  }
+
+  if (event.type === "jump") {
+    const { percent } = event;
+    if (typeof percent !== "number" || !Number.isFinite(percent) || percent === 0) {
+      return "Jump must be a non-zero percentage";
+    }
+    if (percent <= -90 || percent > 200) {
+      return "Jump must be between -90% and +200%";
+    }
+  }
+
+  if (event.type === "volatility") {
+    const { volatility } = event;
+    if (typeof volatility !== "number" || !Number.isFinite(volatility) || volatility < 0.01 || volatility > 2) {
+      return "Volatility must be between 1% and 200%";
+    }
+  }
+
+  return null;
+}
+
+// What players see of a logged event: the new volatility level stays hidden,
+// only its direction is announced
+function publicEvent(entry) {
+  const { volatility, previousVolatility, time, ...visible } = entry;
+  if (entry.type === "volatility") {
+    visible.direction = volatility > previousVolatility ? "up" : "down";
+  }
+  return visible;
+}
+
+module.exports = { EVENT_TYPES, eventError, publicEvent };
@@ -0,0 +1,125 @@
+// Price-time priority limit order book for peer-to-peer trading.
+// The book is plain data (kept in roomsData) and these functions mutate it.
+
+function createBook() {
+  return {
+    bids: [],     // resting buys, best (highest price, then oldest) first
+    asks: [],     // resting sells, best (lowest price, then oldest) first
+    nextId: 1,
+    lastPrice: null,
+  };
+}
+
+// Does an incoming order at `price` cross a resting order on the other side?
+function crosses(side, price, resting) {
+  return side === "buy" ? price >= resting.price : price <= resting.price;
+}
+
+// Insert behind every order at the same or better price (time priority)
+function insertResting(book, order) {
+  const list = order.side === "buy" ? book.bids : book.asks;
+  const better = order.side === "buy"
+    ? (o) => o.price >= order.price
+    : (o) => o.price <= order.price;
+
+  let i = 0;
+  while (i < list.length && better(list[i])) i++;
+  list.splice(i, 0, order);
+}
+
+// Match `{ userID, side, price, qty }` against the book, resting whatever is left.
+// Returns { order, fills } or { error } if the order would trade with the user's own order.
+// Each fill is { buyer, seller, price, qty, makerOrderID, takerOrderID }, priced at the maker.
+function placeOrder(book, { userID, side, price, qty }) {
+  const opposite = side === "buy" ? book.asks : book.bids;
+
+  if (opposite.some((o) => o.userID === userID && crosses(side, price, o))) {
+    return { error: "Order would trade with your own resting order" };
+  }
+
+  const order = {
+    id: book.nextId++,
+    userID,
+    side,
+    price,
+    qty,
+    remaining: qty,
+    time: Date.now(),
+  };
+  const fills = [];
+
+  while (order.remaining > 0 && opposite.length && crosses(side, price, opposite[0])) {
+    const maker = opposite[0];
+    const qtyFilled = Math.min(order.remaining, maker.remaining);
+
+    fills.push({
+      buyer: side === "buy" ? userID : maker.userID,
+      seller: side === "buy" ? maker.userID : userID,
+      price: maker.price,
+      qty: qtyFilled,
+      makerOrderID: maker.id,
+      takerOrderID: order.id,
+    });
+
+    order.remaining -= qtyFilled;
+    maker.remaining -= qtyFilled;
+    book.lastPrice = maker.price;
+
+    if (maker.remaining === 0) opposite.shift();
+  }
+
+  if (order.remaining > 0) insertResting(book, order);
+
+  return { order, fills };
+}
+
+// Remove a resting order. Only its owner may cancel it.
+function cancelOrder(book, orderID, userID) {
+  for (const list of [book.bids, book.asks]) {
+    const i = list.findIndex((o) => o.id === orderID);
+    if (i !== -1) {
+      if (list[i].userID !== userID) return null;
+      return list.splice(i, 1)[0];
+    }
+  }
+  return null;
+}
+
+// Aggregate resting size per price level, best first
+function aggregate(list, levels) {
+  const out = [];
+  for (const o of list) {
+    const last = out[out.length - 1];
+    if (last && last.price === o.price) {
+      last.qty += o.remaining;
+    } else {
+      if (out.length === levels) break;
+      out.push({ price: o.price, qty: o.remaining });
+    }
+  }
+  return out;
+}
+
+// Public view of the book: depth by level plus top of book and last trade
+function bookDepth(book, levels = 10) {
+  return {
+    bids: aggregate(book.bids, levels),
+    asks: aggregate(book.asks, levels),
+    bestBid: book.bids.length ? book.bids[0].price : null,
+    bestAsk: book.asks.length ? book.asks[0].price : null,
+    lastPrice: book.lastPrice,
+  };
+}
+
+// A user's own resting orders
+function ordersFor(book, userID) {
+  return [...book.bids, ...book.asks].filter((o) => o.userID === userID);
+}
+
+module.exports = {
+  createBook,
+  placeOrder,
+  cancelOrder,
+  bookDepth,
+  ordersFor,
+};
@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createBook, placeOrder, cancelOrder, bookDepth, ordersFor } = require("./orderBook");
+
+test("an order that doesn't cross rests on its side", () => {
+  const book = createBook();
+  const { order, fills } = placeOrder(book, { userID: "a", side: "buy", price: 5, qty: 2 });
+
+  assert.deepEqual(fills, []);
+  assert.equal(order.remaining, 2);
+  assert.deepEqual(bookDepth(book).bids, [{ price: 5, qty: 2 }]);
+  assert.equal(bookDepth(book).bestAsk, null);
+});
+
+test("bids rest best price first and asks lowest first", () => {
+  const book = createBook();
+  placeOrder(book, { userID: "a", side: "buy", price: 4, qty: 1 });
+  placeOrder(book, { userID: "b", side: "buy", price: 6, qty: 1 });
+  placeOrder(book, { userID: "c", side: "sell", price: 9, qty: 1 });
+  placeOrder(book, { userID: "d", side: "sell", price: 7, qty: 1 });
+
+  assert.deepEqual(book.bids.map((o) => o.price), [6, 4]);
+  assert.deepEqual(book.asks.map((o) => o.price), [7, 9]);
+  assert.equal(bookDepth(book).bestBid, 6);
+  assert.equal(bookDepth(book).bestAsk, 7);
+});
+
+test("a crossing order fills at the maker's price", () => {
+  const book = createBook();
+  const { order: maker } = placeOrder(book, { userID: "a", side: "sell", price: 5, qty: 1 });
+  const { order: taker, fills } = placeOrder(book, { userID: "b", side: "buy", price: 7, qty: 1 });
+
+  assert.deepEqual(fills, [
+    { buyer: "b", seller: "a", price: 5, qty: 1, makerOrderID: maker.id, takerOrderID: taker.id },
+  ]);
+  assert.equal(book.lastPrice, 5);
+  assert.deepEqual(book.asks, []);
+  assert.deepEqual(book.bids, []);
+});
+
+test("a partly filled taker rests its remainder", () => {
+  const book = createBook();
+  placeOrder(book, { userID: "a", side: "sell", price: 5, qty: 2 });
+  const { order, fills } = placeOrder(book, { userID: "b", side: "buy", price: 5, qty: 5 });
+
+  assert.equal(fills.length, 1);
+  assert.equal(fills[0].qty, 2);
+  assert.equal(order.remaining, 3);
+  assert.deepEqual(bookDepth(book).bids, [{ price: 5, qty: 3 }]);
+  assert.deepEqual(book.asks, []);
+});
+
+test("a partly filled maker keeps its place with the rest", () => {
+  const book = createBook();
+  const { order: maker } = placeOrder(book, { userID: "a", side: "buy", price: 5, qty: 4 });
+  placeOrder(book, { userID: "b", side: "buy", price: 5, qty: 1 });
+  placeOrder(book, { userID: "c", side: "sell", price: 5, qty: 3 });
+
+  assert.equal(book.bids[0].id, maker.id);
+  assert.equal(book.bids[0].remaining, 1);
+  assert.deepEqual(bookDepth(book).bids, [{ price: 5, qty: 2 }]);
+});
+
+test("a taker walks the book level by level", () => {
+  const book = createBook();
+  placeOrder(book, { userID: "a", side: "sell", price: 6, qty: 1 });
+  placeOrder(book, { userID: "b", side: "sell", price: 5, qty: 1 });
+  placeOrder(book, { userID: "c", side: "sell", price: 8, qty: 1 });
+  const { fills } = placeOrder(book, { userID: "d", side: "buy", price: 7, qty: 3 });
+
+  assert.deepEqual(fills.map((f) => [f.seller, f.price]), [["b", 5], ["a", 6]]);
+  assert.equal(book.lastPrice, 6);
+  assert.deepEqual(bookDepth(book).bids, [{ price: 7, qty: 1 }]);
+  assert.deepEqual(bookDepth(book).asks, [{ price: 8, qty: 1 }]);
+});
+
+test("orders at the same price fill oldest first", () => {
+  const book = createBook();
+  placeOrder(book, { userID: "a", side: "sell", price: 5, qty: 1 });
+  placeOrder(book, { userID: "b", side: "sell", price: 5, qty: 1 });
+  placeOrder(book, { userID: "c", side: "sell", price: 5, qty: 1 });
+  const { fills } = placeOrder(book, { userID: "d", side: "buy", price: 5, qty: 2 });
+
+  assert.deepEqual(fills.map((f) => f.seller), ["a", "b"]);
+  assert.deepEqual(book.asks.map((o) => o.userID), ["c"]);
+});
+
+test("a new order at an existing price queues behind it", () => {
+  const book = createBook();
+  placeOrder(book, { userID: "a", side: "buy", price: 5, qty: 1 });
+  placeOrder(book, { userID: "b", side: "buy", price: 4, qty: 1 });
+  placeOrder(book, { userID: "c", side: "buy", price: 5, qty: 1 });
+
+  assert.deepEqual(book.bids.map((o) => o.userID), ["a", "c", "b"]);
+});
+
+test("an order that would cross the user's own order is refused", () => {
+  const book = createBook();
+  placeOrder(book, { userID: "a", side: "sell", price: 5, qty: 1 });
+  const result = placeOrder(book, { userID: "a", side: "buy", price: 5, qty: 1 });
+
+  assert.ok(result.error);
+  assert.deepEqual(book.bids, []);
+  assert.equal(book.asks.length, 1);
+});
+
+test("a self-cross is refused even behind someone else's order", () => {
+  const book = createBook();
+  placeOrder(book, { userID: "b", side: "sell", price: 4, qty: 1 });
+  placeOrder(book, { userID: "a", side: "sell", price: 5, qty: 1 });
+  const result = placeOrder(book, { userID: "a", side: "buy", price: 6, qty: 2 });
+
+  assert.ok(result.error);
+  assert.equal(book.asks.length, 2);
+});
+
+test("a user may quote both sides without crossing", () => {
+  const book = createBook();
+  placeOrder(book, { userID: "a", side: "sell", price: 6, qty: 1 });
+  const result = placeOrder(book, { userID: "a", side: "buy", price: 5, qty: 1 });
+
+  assert.equal(result.error, undefined);
+  assert.deepEqual(result.fills, []);
+  assert.deepEqual(ordersFor(book, "a").map((o) => o.side), ["buy", "sell"]);
+});
+
+test("only the owner can cancel an order", () => {
+  const book = createBook();
+  const { order } = placeOrder(book, { userID: "a", side: "buy", price: 5, qty: 1 });
+
+  assert.equal(cancelOrder(book, order.id, "b"), null);
+  assert.equal(book.bids.length, 1);
+  assert.equal(cancelOrder(book, order.id, "a").id, order.id);
+  assert.deepEqual(book.bids, []);
+  assert.equal(cancelOrder(book, order.id, "a"), null);
+});
+
+test("an empty book has no depth, top of book or last price", () => {
+  assert.deepEqual(bookDepth(createBook()), {
+    bids: [],
+    asks: [],
+    bestBid: null,
+    bestAsk: null,
+    lastPrice: null,
+  });
+});
+
+test("depth is cut at the requested number of levels", () => {
+  const book = createBook();
+  [5, 4, 4, 3].forEach((price, i) => placeOrder(book, { userID: `u${i}`, side: "buy", price, qty: 1 }));
+
+  assert.deepEqual(bookDepth(book, 2).bids, [{ price: 5, qty: 1 }, { price: 4, qty: 2 }]);
+});
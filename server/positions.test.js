@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { spawn } = require("node:child_process");
+const { io } = require("socket.io-client");
+
+const PORT = 4700 + Math.floor(Math.random() * 200);
+const URL = `http://localhost:${PORT}`;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A connected client, resolved once the server has assigned it a userID
+function connect() {
+  return new Promise((resolve) => {
+    const socket = io(URL, { transports: ["websocket"], forceNew: true });
+    socket.on("session", ({ userID }) => {
+      socket.userID = userID;
+      resolve(socket);
+    });
+  });
+}
+
+// Every payload of `event` the socket receives from now on
+function record(socket, event) {
+  const seen = [];
+  socket.on(event, (payload) => seen.push(payload));
+  return seen;
+}
+
+test("players only ever receive their own position", { timeout: 30000 }, async (t) => {
+  const server = spawn(process.execPath, [path.join(__dirname, "index.js")], {
+    env: { ...process.env, STORE: "memory", PORT: String(PORT) },
+  });
+  t.after(() => server.kill());
+  await new Promise((resolve) => {
+    server.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("Server running")) resolve();
+    });
+  });
+
+  const admin = await connect();
+  const alice = await connect();
+  const bob = await connect();
+  t.after(() => [admin, alice, bob].forEach((socket) => socket.close()));
+
+  admin.emit("room-start", "hidden");
+  await wait(200);
+  admin.emit("updateRoomConfig", { roundSeconds: 5, totalRounds: 2, showLeaderboard: false });
+  alice.emit("join-room", "hidden", "alice");
+  bob.emit("join-room", "hidden", "bob");
+  await wait(200);
+
+  const adminSeen = record(admin, "positionsUpdated");
+  const aliceSeen = record(alice, "positionsUpdated");
+  const bobSeen = record(bob, "positionsUpdated");
+  const leaderboards = [alice, bob].map((socket) => record(socket, "leaderboardRank"));
+
+  admin.emit("startGame");
+  await wait(300);
+  alice.emit("submitBid", 5);
+  bob.emit("submitBid", 6);
+  // the first round closes after roundSeconds
+  await wait(5800);
+
+  assert.ok(aliceSeen.length > 0 && bobSeen.length > 0);
+  aliceSeen.forEach((positions) => assert.deepEqual(Object.keys(positions), [alice.userID]));
+  bobSeen.forEach((positions) => assert.deepEqual(Object.keys(positions), [bob.userID]));
+  assert.ok(aliceSeen.at(-1)[alice.userID].scores);
+
+  // the admin still sees everyone
+  assert.deepEqual(Object.keys(adminSeen.at(-1)).sort(), [alice.userID, bob.userID].sort());
+  leaderboards.forEach((seen) => assert.deepEqual(seen, []));
+});
@@ -0,0 +1,41 @@
+// Underlying price process for each room.
+// The server owns the path so settlement can't be tampered with from a client.
+
+const INITIAL_PRICE = 100;
+
+// Box-Muller transform
+function randomNormal() {
+  const u = 1 - Math.random(); // avoid log(0)
+  const v = 1 - Math.random();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+// Hidden annualized volatility, uniform in [min, max]
+function randomVolatility(min = 0.1, max = 0.4) {
+  return min + Math.random() * (max - min);
+}
+
+// Geometric Brownian Motion step of `dt` years at the room's risk-free rate;
+// pass `z` to replay a pre-drawn shock
+function evolvePrice(prev, volatility, riskFreeRate, dt, z = randomNormal()) {
+  return (
+    prev *
+    Math.exp(
+      (riskFreeRate - 0.5 * volatility * volatility) * dt +
+        volatility * Math.sqrt(dt) * z
+    )
+  );
+}
+
+// Where the price ends up after stepping through every shock in `shocks`
+function projectPrice(price, volatility, riskFreeRate, dt, shocks) {
+  return shocks.reduce((px, z) => evolvePrice(px, volatility, riskFreeRate, dt, z), price);
+}
+
+module.exports = {
+  INITIAL_PRICE,
+  randomNormal,
+  randomVolatility,
+  evolvePrice,
+  projectPrice,
+};
@@ -0,0 +1,56 @@
+// Two-sided quoting: players post a bid and an ask each round and
+// random incoming order flow hits the bids and lifts the asks.
+
+// Random whole number of contracts in [0, max]
+function randomFlow(max) {
+  return Math.floor(Math.random() * (max + 1));
+}
+
+// Fill `qty` contracts against quotes sorted best-first, respecting each quote's size.
+// `side` is "bid" or "ask"; returns userID -> contracts filled.
+function fillSide(sorted, side, qty) {
+  const filled = {};
+  let remaining = qty;
+
+  for (const [userID, quote] of sorted) {
+    if (remaining <= 0) break;
+    const size = Math.min(quote[`${side}Size`], remaining);
+    filled[userID] = size;
+    remaining -= size;
+  }
+
+  return filled;
+}
+
+// quotes: array of [userID, { bidPrice, bidSize, askPrice, askSize }] in submission order.
+// buyQty contracts of flow lift the cheapest asks; sellQty contracts hit the highest bids.
+// Ties at the same price go to whoever quoted first (sort is stable).
+function matchQuotes(quotes, buyQty, sellQty) {
+  const byBid = [...quotes].sort((a, b) => b[1].bidPrice - a[1].bidPrice);
+  const byAsk = [...quotes].sort((a, b) => a[1].askPrice - b[1].askPrice);
+
+  const bought = fillSide(byBid, "bid", sellQty); // players buy when flow sells
+  const sold = fillSide(byAsk, "ask", buyQty);    // players sell when flow buys
+
+  const fills = {};
+  quotes.forEach(([userID, quote]) => {
+    const mid = (quote.bidPrice + quote.askPrice) / 2;
+    const b = bought[userID] || 0;
+    const s = sold[userID] || 0;
+    fills[userID] = {
+      ...quote,
+      bought: b,
+      sold: s,
+      // edge earned against the player's own mid
+      spreadCaptured: b * (mid - quote.bidPrice) + s * (quote.askPrice - mid),
+    };
+  });
+
+  return {
+    fills,
+    bestBid: byBid.length ? byBid[0][1].bidPrice : null,
+    bestAsk: byAsk.length ? byAsk[0][1].askPrice : null,
+  };
+}
+
+module.exports = { randomFlow, matchQuotes };
@@ -0,0 +1,58 @@
+// Per-room position limits and margin, driven by the room's config.
+// A player may always trade to reduce a position; only trades that add risk are checked.
+
+// Cash a position must hold against its shorts: a fraction of the underlying per short contract
+function marginRequirement(pos, config, underlyingPrice) {
+  const shortContracts = Object.values(pos.holdings).reduce(
+    (total, qty) => total + Math.max(-qty, 0),
+    0
+  );
+  return shortContracts * config.shortMargin * underlyingPrice;
+}
+
+// Cash above the minimum and the margin on shorts; negative means the position is in breach
+function excessCash(pos, config, underlyingPrice) {
+  return pos.cash - config.minCash - marginRequirement(pos, config, underlyingPrice);
+}
+
+// Why a fill of `qty` contracts (negative to sell) costing `cost` in cash would
+// breach the room's limits, or null if it's allowed
+function fillBreach(pos, instrumentID, qty, cost, config, underlyingPrice) {
+  const held = pos.holdings[instrumentID] || 0;
+  const after = held + qty;
+
+  // 1) Trades that shrink the position are always allowed
+  if (Math.abs(after) <= Math.abs(held)) return null;
+
+  // 2) Contract limits per instrument
+  if (after > config.maxLong) {
+    return `Would exceed the long limit of ${config.maxLong} contracts`;
+  }
+  if (after < -config.maxShort) {
+    return `Would exceed the short limit of ${config.maxShort} contracts`;
+  }
+
+  // 3) Cash left after the fill must cover the minimum plus margin on every short
+  const next = {
+    cash: pos.cash - cost,
+    holdings: { ...pos.holdings, [instrumentID]: after },
+  };
+  if (excessCash(next, config, underlyingPrice) < 0) {
+    const required = config.minCash + marginRequirement(next, config, underlyingPrice);
+    return `Not enough cash: $${required.toFixed(2)} required, $${next.cash.toFixed(2)} left after the trade`;
+  }
+  return null;
+}
+
+// How close a position is to its limits, for the player's portfolio panel
+function riskStatus(pos, config, underlyingPrice) {
+  return {
+    maxLong: config.maxLong,
+    maxShort: config.maxShort,
+    minCash: config.minCash,
+    margin: marginRequirement(pos, config, underlyingPrice),
+    excessCash: excessCash(pos, config, underlyingPrice),
+  };
+}
+
+module.exports = { marginRequirement, excessCash, fillBreach, riskStatus };
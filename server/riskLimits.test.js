@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { marginRequirement, excessCash, fillBreach, riskStatus } = require("./riskLimits");
+
+const CONFIG = { maxLong: 5, maxShort: 3, minCash: 100, shortMargin: 0.25 };
+const PRICE = 40; // underlying, so each short contract needs $10 of margin
+
+const position = (cash, holdings = {}) => ({ cash, holdings });
+
+test("margin is charged on short contracts only", () => {
+  assert.equal(marginRequirement(position(1000, { a: 4, b: -2, c: -1 }), CONFIG, PRICE), 30);
+  assert.equal(marginRequirement(position(1000, { a: 4 }), CONFIG, PRICE), 0);
+});
+
+test("excess cash is what's left above the minimum and the margin", () => {
+  assert.equal(excessCash(position(1000, { a: -2 }), CONFIG, PRICE), 880);
+  assert.equal(excessCash(position(110, { a: -2 }), CONFIG, PRICE), -10);
+});
+
+test("buying up to the long limit is allowed", () => {
+  assert.equal(fillBreach(position(1000, { a: 3 }), "a", 2, 20, CONFIG, PRICE), null);
+});
+
+test("buying past the long limit is refused", () => {
+  assert.match(fillBreach(position(1000, { a: 3 }), "a", 3, 30, CONFIG, PRICE), /long limit of 5/);
+});
+
+test("selling past the short limit is refused", () => {
+  assert.equal(fillBreach(position(1000), "a", -3, -30, CONFIG, PRICE), null);
+  assert.match(fillBreach(position(1000, { a: -2 }), "a", -2, -20, CONFIG, PRICE), /short limit of 3/);
+});
+
+test("limits apply to each instrument on its own", () => {
+  assert.equal(fillBreach(position(1000, { a: 5 }), "b", 5, 50, CONFIG, PRICE), null);
+});
+
+test("a buy that would leave less than the minimum cash is refused", () => {
+  assert.equal(fillBreach(position(200), "a", 1, 100, CONFIG, PRICE), null);
+  assert.match(
+    fillBreach(position(200), "a", 1, 100.5, CONFIG, PRICE),
+    /Not enough cash: \$100\.00 required, \$99\.50 left/
+  );
+});
+
+test("a short sale must leave cash for its margin", () => {
+  // selling 2 at $1 brings in $2 but needs $20 of margin on top of the $100 minimum
+  assert.match(
+    fillBreach(position(110), "a", -2, -2, CONFIG, PRICE),
+    /Not enough cash: \$120\.00 required, \$112\.00 left/
+  );
+  assert.equal(fillBreach(position(120), "a", -2, -2, CONFIG, PRICE), null);
+});
+
+test("margin counts the shorts already held in other instruments", () => {
+  assert.match(fillBreach(position(125, { b: -2 }), "a", -1, -1, CONFIG, PRICE), /Not enough cash/);
+});
+
+test("a trade that reduces the position is always allowed", () => {
+  // over the long limit and broke, selling down is still fine
+  assert.equal(fillBreach(position(0, { a: 8 }), "a", -2, -10, CONFIG, PRICE), null);
+  // over the short limit and in breach of margin, buying back even at a loss is fine
+  assert.equal(fillBreach(position(50, { a: -6 }), "a", 6, 300, CONFIG, PRICE), null);
+});
+
+test("risk status reports the limits, margin and excess cash", () => {
+  assert.deepEqual(riskStatus(position(500, { a: -3, b: 2 }), CONFIG, PRICE), {
+    maxLong: 5,
+    maxShort: 3,
+    minCash: 100,
+    margin: 30,
+    excessCash: 370,
+  });
+});
@@ -0,0 +1,153 @@
+// Per-room settings chosen by the admin in the lobby.
+
+const { METRICS } = require("./scoring");
+const { CLEARING_RULES } = require("./clearing");
+const { SIGNAL_TYPES } = require("./signals");
+
+const DEFAULT_CONFIG = {
+  mode: "single",       // "single": one price vs the computer, "two-sided": bid/ask quotes,
+                        // "order-book": continuous limit order book between players
+  roundSeconds: 30,     // length of each trading round
+  totalRounds: 60,      // 60 x 30s = 30 minutes of play = 1 simulated year
+  callStrikes: [100],   // a call is listed at each of these strikes
+  putStrikes: [],       // and a put at each of these
+  includeStock: false,  // also list the underlying stock itself
+  startingCash: 100,    // cash each player starts with
+  riskFreeRate: 0.05,   // annual rate, applied to cash and in Sharpe
+  volatilityMin: 0.1,   // hidden volatility is drawn uniformly from
+  volatilityMax: 0.4,   //   [volatilityMin, volatilityMax] at game start
+  maxQuoteSize: 5,      // largest size allowed on a quote side or a limit order
+  minPrice: 0,          // lowest price accepted on a bid, quote or order
+  maxPrice: 1000,       // highest price accepted
+  tickSize: 0.1,        // prices must be a multiple of this
+  orderFlowMax: 10,     // two-sided mode: most contracts the incoming flow buys or sells per round
+  clearingRule: "median", // single mode: median, uniform, randomQuantity, proRata or bestN (see clearing.js)
+  clearingQuantity: 3,  // contracts the computer trades under randomQuantity (most), proRata and bestN
+  reservationPrice: false, // single mode: the computer only trades at or better than a hidden price drawn each round
+  reservationNoise: 0.1,   //   around the instrument's fair value, with this standard deviation as a fraction of it
+  signals: "off",       // private signals about the final stock price and/or volatility: off, price, volatility or both
+  signalShare: 0.5,     // fraction of players (rounded up) chosen at game start to receive them
+  signalNoise: 0.05,    // standard deviation of each signal as a fraction of the true value
+  signalEvery: 10,      // signals go out in round 1 and every this many rounds after
+  botError: 0.1,        // fair-value bots misprice by a normal error with this standard deviation (fraction of value)
+  hostGraceSeconds: 60, // how long a disconnected admin has to come back before the room closes
+  maxLong: 20,          // most contracts a player may hold long in any one instrument
+  maxShort: 20,         // most contracts a player may be short in any one instrument
+  minCash: 0,           // lowest cash a trade may leave a player with (negative allows borrowing)
+  shortMargin: 0.2,     // cash held per short contract, as a fraction of the underlying price
+  autoLiquidate: false, // close out a player's positions at the marks if a round ends with them below margin
+  rankingMetric: "sharpe", // final ranking: pnl, sharpe, sortino, maxDrawdown, calmar or returnPerInventory
+  showLeaderboard: true,   // rank players after every round on the admin screen and tell each their rank
+  anonymizeLeaderboard: false, // show "Trader N" instead of usernames on the live leaderboard
+};
+
+// Allowed values: a list of options, a boolean, a list of numbers or a numeric range
+const CONFIG_RULES = {
+  mode: { options: ["single", "two-sided", "order-book"] },
+  roundSeconds: { min: 5, max: 300, integer: true },
+  totalRounds: { min: 1, max: 500, integer: true },
+  callStrikes: { list: true, min: 1, max: 10000, maxLength: 10 },
+  putStrikes: { list: true, min: 1, max: 10000, maxLength: 10 },
+  includeStock: { boolean: true },
+  startingCash: { min: 1, max: 1000000 },
+  riskFreeRate: { min: 0, max: 0.5 },
+  volatilityMin: { min: 0.01, max: 2 },
+  volatilityMax: { min: 0.01, max: 2 },
+  maxQuoteSize: { min: 1, max: 100, integer: true },
+  minPrice: { min: 0, max: 1000000 },
+  maxPrice: { min: 0.01, max: 1000000 },
+  tickSize: { min: 0.001, max: 100 },
+  orderFlowMax: { min: 0, max: 1000, integer: true },
+  clearingRule: { options: Object.keys(CLEARING_RULES) },
+  clearingQuantity: { min: 1, max: 1000, integer: true },
+  reservationPrice: { boolean: true },
+  reservationNoise: { min: 0, max: 1 },
+  signals: { options: Object.keys(SIGNAL_TYPES) },
+  signalShare: { min: 0, max: 1 },
+  signalNoise: { min: 0, max: 1 },
+  signalEvery: { min: 1, max: 500, integer: true },
+  botError: { min: 0, max: 1 },
+  hostGraceSeconds: { min: 5, max: 900, integer: true },
+  maxLong: { min: 1, max: 10000, integer: true },
+  maxShort: { min: 0, max: 10000, integer: true },
+  minCash: { min: -1000000, max: 1000000 },
+  shortMargin: { min: 0, max: 5 },
+  autoLiquidate: { boolean: true },
+  rankingMetric: { options: Object.keys(METRICS) },
+  showLeaderboard: { boolean: true },
+  anonymizeLeaderboard: { boolean: true },
+};
+
+// Merge `input` over `current`, checking every field we know about.
+// Unknown keys are ignored. Returns { config, errors } where errors maps key -> message.
+function validateConfig(input, current = DEFAULT_CONFIG) {
+  const config = { ...current };
+  const errors = {};
+
+  for (const [key, rule] of Object.entries(CONFIG_RULES)) {
+    if (!input || input[key] === undefined) continue;
+
+    if (rule.options) {
+      if (rule.options.includes(input[key])) {
+        config[key] = input[key];
+      } else {
+        errors[key] = `${key} must be one of ${rule.options.join(", ")}`;
+      }
+      continue;
+    }
+
+    if (rule.boolean) {
+      if (input[key] === true || input[key] === "true") {
+        config[key] = true;
+      } else if (input[key] === false || input[key] === "false") {
+        config[key] = false;
+      } else {
+        errors[key] = `${key} must be true or false`;
+      }
+      continue;
+    }
+
+    if (rule.list) {
+      // accept an array or a comma-separated string like "90, 100, 110"
+      const raw = Array.isArray(input[key]) ? input[key] : String(input[key]).split(",");
+      const values = raw.map((v) => String(v).trim()).filter((v) => v !== "").map(Number);
+      if (values.some((v) => !Number.isFinite(v) || v < rule.min || v > rule.max)) {
+        errors[key] = `${key} must be numbers between ${rule.min} and ${rule.max}`;
+      } else if (values.length > rule.maxLength) {
+        errors[key] = `${key} can have at most ${rule.maxLength} entries`;
+      } else {
+        config[key] = [...new Set(values)].sort((a, b) => a - b);
+      }
+      continue;
+    }
+
+    const value = Number(input[key]);
+    if (input[key] === "" || !Number.isFinite(value)) {
+      errors[key] = `${key} must be a number`;
+    } else if (rule.integer && !Number.isInteger(value)) {
+      errors[key] = `${key} must be a whole number`;
+    } else if (value < rule.min || value > rule.max) {
+      errors[key] = `${key} must be between ${rule.min} and ${rule.max}`;
+    } else {
+      config[key] = value;
+    }
+  }
+
+  if (!config.callStrikes.length && !config.putStrikes.length && !config.includeStock) {
+    errors.callStrikes = "list at least one instrument";
+  }
+
+  if (config.volatilityMin > config.volatilityMax) {
+    errors.volatilityMax = "volatilityMax must be at least volatilityMin";
+  }
+
+  if (config.minPrice >= config.maxPrice) {
+    errors.maxPrice = "maxPrice must be above minPrice";
+  } else if (config.tickSize > config.maxPrice - config.minPrice) {
+    errors.tickSize = "tickSize must fit between minPrice and maxPrice";
+  }
+
+  return { config, errors };
+}
+
+module.exports = { DEFAULT_CONFIG, validateConfig };
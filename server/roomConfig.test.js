@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_CONFIG, validateConfig } = require("./roomConfig");
+
+test("no input keeps the current settings", () => {
+  assert.deepEqual(validateConfig(undefined), { config: DEFAULT_CONFIG, errors: {} });
+  assert.deepEqual(validateConfig({}), { config: DEFAULT_CONFIG, errors: {} });
+});
+
+test("changes merge over the current settings, not the defaults", () => {
+  const current = { ...DEFAULT_CONFIG, totalRounds: 10 };
+  const { config, errors } = validateConfig({ roundSeconds: 20 }, current);
+
+  assert.deepEqual(errors, {});
+  assert.equal(config.roundSeconds, 20);
+  assert.equal(config.totalRounds, 10);
+});
+
+test("unknown keys never reach the config", () => {
+  const { config, errors } = validateConfig({ cheat: true, admin: "x" });
+
+  assert.deepEqual(errors, {});
+  assert.deepEqual(config, DEFAULT_CONFIG);
+  assert.equal(Object.hasOwn(config, "cheat"), false);
+});
+
+test("options must be one of the listed values", () => {
+  assert.equal(validateConfig({ mode: "order-book" }).config.mode, "order-book");
+
+  const { config, errors } = validateConfig({ mode: "auction", clearingRule: "toString" });
+  assert.equal(config.mode, "single");
+  assert.match(errors.mode, /must be one of single, two-sided, order-book/);
+  assert.ok(errors.clearingRule);
+});
+
+test("booleans take true/false or their strings", () => {
+  assert.equal(validateConfig({ includeStock: "true" }).config.includeStock, true);
+  assert.equal(validateConfig({ showLeaderboard: "false" }).config.showLeaderboard, false);
+  assert.equal(validateConfig({ autoLiquidate: true }).config.autoLiquidate, true);
+
+  for (const value of [1, "yes", null]) {
+    assert.equal(validateConfig({ autoLiquidate: value }).errors.autoLiquidate, "autoLiquidate must be true or false");
+  }
+});
+
+test("lists take arrays or comma-separated text, sorted without repeats", () => {
+  assert.deepEqual(validateConfig({ callStrikes: "110, 90,100,,90" }).config.callStrikes, [90, 100, 110]);
+  assert.deepEqual(validateConfig({ putStrikes: [95, "85"] }).config.putStrikes, [85, 95]);
+  assert.deepEqual(validateConfig({ putStrikes: "" }).config.putStrikes, []);
+});
+
+test("lists refuse bad numbers and too many entries", () => {
+  assert.equal(
+    validateConfig({ callStrikes: "100, abc" }).errors.callStrikes,
+    "callStrikes must be numbers between 1 and 10000"
+  );
+  assert.ok(validateConfig({ callStrikes: [0] }).errors.callStrikes);
+  assert.equal(
+    validateConfig({ callStrikes: Array.from({ length: 11 }, (_, i) => 100 + i) }).errors.callStrikes,
+    "callStrikes can have at most 10 entries"
+  );
+});
+
+test("numbers are parsed, range-checked and kept whole where required", () => {
+  assert.equal(validateConfig({ startingCash: "250" }).config.startingCash, 250);
+  assert.equal(validateConfig({ startingCash: "" }).errors.startingCash, "startingCash must be a number");
+  assert.equal(validateConfig({ startingCash: "lots" }).errors.startingCash, "startingCash must be a number");
+  assert.equal(validateConfig({ roundSeconds: 12.5 }).errors.roundSeconds, "roundSeconds must be a whole number");
+  assert.equal(validateConfig({ roundSeconds: 4 }).errors.roundSeconds, "roundSeconds must be between 5 and 300");
+});
+
+test("a rejected field keeps its current value while the rest apply", () => {
+  const { config, errors } = validateConfig({ roundSeconds: 1000, totalRounds: 12 });
+
+  assert.deepEqual(Object.keys(errors), ["roundSeconds"]);
+  assert.equal(config.roundSeconds, DEFAULT_CONFIG.roundSeconds);
+  assert.equal(config.totalRounds, 12);
+});
+
+test("at least one instrument must be listed", () => {
+  assert.equal(validateConfig({ callStrikes: "" }).errors.callStrikes, "list at least one instrument");
+  assert.deepEqual(validateConfig({ callStrikes: "", includeStock: true }).errors, {});
+});
+
+test("the volatility range must not be inverted", () => {
+  assert.equal(
+    validateConfig({ volatilityMin: 0.5, volatilityMax: 0.2 }).errors.volatilityMax,
+    "volatilityMax must be at least volatilityMin"
+  );
+  assert.deepEqual(validateConfig({ volatilityMin: 0.3, volatilityMax: 0.3 }).errors, {});
+});
+
+test("maxPrice must be above minPrice", () => {
+  assert.equal(validateConfig({ minPrice: 50, maxPrice: 50 }).errors.maxPrice, "maxPrice must be above minPrice");
+  assert.equal(validateConfig({ minPrice: 2000 }).errors.maxPrice, "maxPrice must be above minPrice");
+});
+
+test("the tick must fit within the price range", () => {
+  assert.equal(
+    validateConfig({ minPrice: 0, maxPrice: 5, tickSize: 10 }).errors.tickSize,
+    "tickSize must fit between minPrice and maxPrice"
+  );
+  assert.deepEqual(validateConfig({ minPrice: 0, maxPrice: 10, tickSize: 10 }).errors, {});
+});
@@ -0,0 +1,91 @@
+// Room state storage. The server keeps live rooms in `roomsData` and hands the
+// store a snapshot whenever a room changes; on startup it reloads whatever the
+// store still has.
+const fs = require("fs");
+const path = require("path");
+
+// Default store: nothing survives a restart
+class InMemoryRoomStore {
+  constructor() {
+    this.rooms = new Map(); // room code -> snapshot
+  }
+
+  saveRoom(room, snapshot) {
+    this.rooms.set(room, snapshot);
+  }
+
+  deleteRoom(room) {
+    this.rooms.delete(room);
+  }
+
+  // room code -> snapshot for every stored room
+  loadRooms() {
+    return Object.fromEntries(this.rooms);
+  }
+
+  flush() {}
+}
+
+// One JSON file per room in `dir`. Saves are batched: a room changes many
+// times a round, so writes happen at most once per `delay` ms.
+class FileRoomStore extends InMemoryRoomStore {
+  constructor(dir, delay = 500) {
+    super();
+    this.dir = dir;
+    this.delay = delay;
+    this.dirty = new Set();
+    this.timer = null;
+
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fileFor(room) {
+    return path.join(this.dir, `${encodeURIComponent(room)}.json`);
+  }
+
+  saveRoom(room, snapshot) {
+    super.saveRoom(room, snapshot);
+    this.dirty.add(room);
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.delay);
+    }
+  }
+
+  deleteRoom(room) {
+    super.deleteRoom(room);
+    this.dirty.delete(room);
+    fs.rmSync(this.fileFor(room), { force: true });
+  }
+
+  loadRooms() {
+    const loaded = {};
+    fs.readdirSync(this.dir)
+      .filter((name) => name.endsWith(".json"))
+      .forEach((name) => {
+        const room = decodeURIComponent(name.slice(0, -".json".length));
+        try {
+          loaded[room] = JSON.parse(fs.readFileSync(path.join(this.dir, name), "utf8"));
+          super.saveRoom(room, loaded[room]);
+        } catch (err) {
+          console.error(`Could not read room ${room}:`, err.message);
+        }
+      });
+    return loaded;
+  }
+
+  // Write every changed room now (also called on shutdown)
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.dirty.forEach((room) => {
+      const file = this.fileFor(room);
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.rooms.get(room)));
+      fs.renameSync(tmp, file);
+    });
+    this.dirty.clear();
+  }
+}
+
+module.exports = { InMemoryRoomStore, FileRoomStore };
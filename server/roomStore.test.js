@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { FileRoomStore } = require("./roomStore");
+
+// A fresh temp directory for the rooms, removed after the test
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rooms-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("changes to a room are batched into one write", async (t) => {
+  const dir = tempDir(t);
+  const store = new FileRoomStore(dir, 20);
+  const writes = t.mock.method(fs, "writeFileSync");
+
+  store.saveRoom("abc", { round: 1 });
+  store.saveRoom("abc", { round: 2 });
+  assert.deepEqual(fs.readdirSync(dir), []);
+
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(writes.mock.callCount(), 1);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "abc.json"), "utf8")), { round: 2 });
+});
+
+test("rooms survive a restart", (t) => {
+  const dir = tempDir(t);
+  const store = new FileRoomStore(dir);
+  store.saveRoom("abc", { round: 3 });
+  store.saveRoom("a/b c", { round: 1 });
+  store.flush();
+
+  assert.deepEqual(new FileRoomStore(dir).loadRooms(), {
+    abc: { round: 3 },
+    "a/b c": { round: 1 },
+  });
+});
+
+test("a room deleted before the flush is never written", (t) => {
+  const dir = tempDir(t);
+  const store = new FileRoomStore(dir);
+  store.saveRoom("abc", { round: 1 });
+  store.deleteRoom("abc");
+  store.flush();
+
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test("deleting a room removes its file", (t) => {
+  const dir = tempDir(t);
+  const store = new FileRoomStore(dir);
+  store.saveRoom("abc", { round: 1 });
+  store.flush();
+  store.deleteRoom("abc");
+
+  assert.deepEqual(fs.readdirSync(dir), []);
+  assert.deepEqual(new FileRoomStore(dir).loadRooms(), {});
+});
+
+test("an unreadable room file is skipped", (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, "bad.json"), "{ not json");
+  fs.writeFileSync(path.join(dir, "good.json"), JSON.stringify({ round: 4 }));
+  t.mock.method(console, "error", () => {});
+
+  assert.deepEqual(new FileRoomStore(dir).loadRooms(), { good: { round: 4 } });
+});
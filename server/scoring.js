@@ -0,0 +1,94 @@
+// Performance metrics for ranking players, computed from a portfolio value history
+// (one value per round close, starting with the opening cash).
+
+// Below this many round returns, ratio metrics are too noisy to rank on and score 0
+const MIN_RETURNS = 3;
+// Floor on return volatility (per round, as a fraction of starting cash), so a player who
+// barely trades can't post a huge ratio on a near-zero standard deviation
+const MIN_STDEV = 1e-4;
+// Floor on drawdown for Calmar, so a player who never dipped doesn't divide by zero
+const MIN_DRAWDOWN = 0.01;
+
+// Metrics the admin can rank by, and whether a higher value ranks first
+const METRICS = {
+  pnl: { higherIsBetter: true },
+  sharpe: { higherIsBetter: true },
+  sortino: { higherIsBetter: true },
+  maxDrawdown: { higherIsBetter: false },
+  calmar: { higherIsBetter: true },
+  returnPerInventory: { higherIsBetter: true },
+};
+
+// Round-by-round P&L as a fraction of starting cash. Dividing by the fixed starting
+// cash instead of the previous value keeps returns sane when a portfolio nears zero.
+function stepReturns(history, startingCash) {
+  const returns = [];
+  for (let i = 1; i < history.length; i++) {
+    returns.push((history[i] - history[i - 1]) / startingCash);
+  }
+  return returns;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Mean excess return per round over its standard deviation
+function sharpeRatio(returns, rfStep) {
+  if (returns.length < MIN_RETURNS) return 0;
+  const avg = mean(returns);
+  const variance = returns.reduce((total, r) => total + (r - avg) ** 2, 0) / (returns.length - 1);
+  return (avg - rfStep) / Math.max(Math.sqrt(variance), MIN_STDEV);
+}
+
+// Like Sharpe, but only rounds that fell short of the risk-free rate count as risk
+function sortinoRatio(returns, rfStep) {
+  if (returns.length < MIN_RETURNS) return 0;
+  const downside = returns.reduce((total, r) => total + Math.min(r - rfStep, 0) ** 2, 0) / returns.length;
+  return (mean(returns) - rfStep) / Math.max(Math.sqrt(downside), MIN_STDEV);
+}
+
+// Largest fall from a running peak, as a fraction of that peak (0.2 = 20%)
+function maxDrawdown(history) {
+  let peak = -Infinity;
+  let worst = 0;
+  history.forEach((value) => {
+    peak = Math.max(peak, value);
+    if (peak > 0) worst = Math.max(worst, (peak - value) / peak);
+  });
+  return worst;
+}
+
+// Every metric for one player. `avgInventory` is the average absolute number of
+// contracts held at round closes, the risk that return-per-inventory charges for.
+function scorePlayer({ history, startingCash, rfStep, avgInventory }) {
+  const returns = stepReturns(history, startingCash);
+  const finalValue = history.length ? history[history.length - 1] : startingCash;
+  const pnl = finalValue - startingCash;
+  const drawdown = maxDrawdown(history);
+
+  return {
+    pnl,
+    sharpe: sharpeRatio(returns, rfStep),
+    sortino: sortinoRatio(returns, rfStep),
+    maxDrawdown: drawdown,
+    calmar: pnl / startingCash / Math.max(drawdown, MIN_DRAWDOWN),
+    returnPerInventory: pnl / Math.max(avgInventory, 1),
+  };
+}
+
+// userID -> rank (1 = best) by `metric`, ties broken by P&L
+function rankPlayers(scores, metric) {
+  const direction = METRICS[metric].higherIsBetter ? -1 : 1;
+  const order = Object.entries(scores).sort(
+    ([, a], [, b]) => direction * (a[metric] - b[metric]) || b.pnl - a.pnl
+  );
+
+  const ranks = {};
+  order.forEach(([userID], i) => {
+    ranks[userID] = i + 1;
+  });
+  return ranks;
+}
+
+module.exports = { METRICS, stepReturns, sharpeRatio, scorePlayer, rankPlayers };
@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stepReturns, sharpeRatio, scorePlayer, rankPlayers } = require("./scoring");
+
+const score = (history, avgInventory = 0) =>
+  scorePlayer({ history, startingCash: 1000, rfStep: 0, avgInventory });
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+
+test("returns are each round's change over the starting cash", () => {
+  assert.deepEqual(stepReturns([1000, 1100, 550], 1000), [0.1, -0.55]);
+  assert.deepEqual(stepReturns([1000], 1000), []);
+});
+
+test("an empty or single-value history scores zero everywhere", () => {
+  for (const history of [[], [1000]]) {
+    assert.deepEqual(score(history), {
+      pnl: 0,
+      sharpe: 0,
+      sortino: 0,
+      maxDrawdown: 0,
+      calmar: 0,
+      returnPerInventory: 0,
+    });
+  }
+});
+
+test("ratios stay at zero below three returns", () => {
+  const result = score([1000, 1200, 1500]);
+
+  assert.equal(result.sharpe, 0);
+  assert.equal(result.sortino, 0);
+  assert.equal(result.pnl, 500);
+});
+
+test("identical returns divide by the volatility floor, not by zero", () => {
+  const result = score([1000, 1001, 1002, 1003]);
+
+  near(result.sharpe, 0.001 / 1e-4);
+  near(result.sortino, 0.001 / 1e-4);
+});
+
+test("sharpe is mean excess return over its sample deviation", () => {
+  // returns 0.1, -0.1, 0.1: mean 1/30, sample variance 0.04 / 3
+  near(sharpeRatio([0.1, -0.1, 0.1], 0), 1 / 30 / Math.sqrt(0.04 / 3));
+  near(sharpeRatio([0.1, -0.1, 0.1], 0.01), (1 / 30 - 0.01) / Math.sqrt(0.04 / 3));
+});
+
+test("sortino only counts shortfalls as risk", () => {
+  // returns 0.1, 0.1, -0.2 average zero
+  near(score([1000, 1100, 1200, 1000]).sortino, 0);
+  // returns 0.2, 0.2, -0.1: downside sqrt(0.01 / 3)
+  near(score([1000, 1200, 1400, 1300]).sortino, 0.1 / Math.sqrt(0.01 / 3));
+});
+
+test("max drawdown is the largest fall from a running peak", () => {
+  assert.equal(score([1000, 1200, 900, 1300, 1100]).maxDrawdown, 0.25);
+});
+
+test("a history that never falls has no drawdown", () => {
+  assert.equal(score([1000, 1000, 1100, 1200]).maxDrawdown, 0);
+  assert.equal(score([1000, 900, 800]).maxDrawdown, 0.2);
+});
+
+test("calmar uses the drawdown floor when there was no drawdown", () => {
+  near(score([1000, 1100, 1200]).calmar, 0.2 / 0.01);
+  near(score([1000, 1200, 900, 1100]).calmar, 0.1 / 0.25);
+});
+
+test("return per inventory charges for at least one contract", () => {
+  assert.equal(score([1000, 1100], 0).returnPerInventory, 100);
+  assert.equal(score([1000, 1100], 0.5).returnPerInventory, 100);
+  assert.equal(score([1000, 1100], 4).returnPerInventory, 25);
+});
+
+test("higher-is-better metrics rank the highest first", () => {
+  const scores = {
+    a: { sharpe: 0.5, pnl: 10 },
+    b: { sharpe: 1.5, pnl: 5 },
+    c: { sharpe: -1, pnl: 50 },
+  };
+
+  assert.deepEqual(rankPlayers(scores, "sharpe"), { b: 1, a: 2, c: 3 });
+});
+
+test("max drawdown ranks the smallest first", () => {
+  const scores = {
+    a: { maxDrawdown: 0.3, pnl: 10 },
+    b: { maxDrawdown: 0.1, pnl: 5 },
+    c: { maxDrawdown: 0, pnl: 0 },
+  };
+
+  assert.deepEqual(rankPlayers(scores, "maxDrawdown"), { c: 1, b: 2, a: 3 });
+});
+
+test("ties on the metric are broken by P&L", () => {
+  const scores = {
+    a: { sharpe: 0, maxDrawdown: 0.1, pnl: 10 },
+    b: { sharpe: 0, maxDrawdown: 0.1, pnl: 30 },
+    c: { sharpe: 0, maxDrawdown: 0.1, pnl: 20 },
+  };
+
+  assert.deepEqual(rankPlayers(scores, "sharpe"), { b: 1, c: 2, a: 3 });
+  assert.deepEqual(rankPlayers(scores, "maxDrawdown"), { b: 1, c: 2, a: 3 });
+});
+
+test("no players rank nobody", () => {
+  assert.deepEqual(rankPlayers({}, "pnl"), {});
+});
@@ -1,3 +1,9 @@
+const fs = require("fs");
+const path = require("path");
+
+const DAY = 24 * 60 * 60 * 1000;
+const SESSION_MAX_AGE = 30 * DAY; // sessions unused this long are dropped
+
 class InMemorySessionStore {
   constructor() {
     this.sessions = new Map(); // Store sessions in memory
@@ -32,7 +38,85 @@ class InMemorySessionStore {
   getAllSessions() {
     return Array.from(this.sessions.entries());
   }
+
+  flush() {}
 }
 
-module.exports = { InMemorySessionStore };
+// Sessions kept in memory and mirrored to a JSON file, so players keep their
+// userID across a server restart. Every connection saves its session, so only
+// new or changed sessions mark the file dirty, and writes are batched to at
+// most one per `delay` ms. Each session carries a `lastSeen` time, refreshed
+// at most daily, and sessions unused for SESSION_MAX_AGE are dropped.
+class FileSessionStore extends InMemorySessionStore {
+  constructor(file, delay = 500) {
+    super();
+    this.file = file;
+    this.delay = delay;
+    this.timer = null;
+
+    if (fs.existsSync(file)) {
+      try {
+        this.sessions = new Map(Object.entries(JSON.parse(fs.readFileSync(file, "utf8"))));
+      } catch (err) {
+        console.error(`Could not read sessions from ${file}:`, err.message);
+      }
+    }
+
+    // Sessions written before `lastSeen` existed start their clock now
+    const now = Date.now();
+    this.sessions.forEach((session, sessionID) => {
+      if (!session.lastSeen) this.sessions.set(sessionID, { ...session, lastSeen: now });
+    });
+    if (this.expire(now)) this.schedule();
+  }
+
+  saveSession(sessionID, data) {
+    const now = Date.now();
+    const old = this.sessions.get(sessionID);
+    const unchanged = old && Object.keys(data).every((key) => old[key] === data[key]);
+    if (unchanged && now - old.lastSeen < DAY) return;
+
+    super.saveSession(sessionID, { ...data, lastSeen: now });
+    this.schedule();
+  }
+
+  deleteSession(sessionID) {
+    if (!this.sessions.has(sessionID)) return;
+    super.deleteSession(sessionID);
+    this.schedule();
+  }
+
+  // Drop sessions unused for SESSION_MAX_AGE; true if any were dropped
+  expire(now = Date.now()) {
+    let dropped = false;
+    this.sessions.forEach((session, sessionID) => {
+      if (now - session.lastSeen > SESSION_MAX_AGE) {
+        this.sessions.delete(sessionID);
+        dropped = true;
+      }
+    });
+    return dropped;
+  }
+
+  schedule() {
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.delay);
+    }
+  }
+
+  // Write the sessions now (also called on shutdown). Write to a temp file and
+  // rename, so a crash never leaves half a file
+  flush() {
+    if (!this.timer) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.expire();
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.sessions)));
+    fs.renameSync(tmp, this.file);
+  }
+}
 
+module.exports = { InMemorySessionStore, FileSessionStore };
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { FileSessionStore } = require("./sessionStore");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A sessions file path in a fresh temp directory, removed after the test
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "sessions.json");
+}
+
+const readFile = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+test("saves are batched into one write", async (t) => {
+  const file = tempFile(t);
+  const store = new FileSessionStore(file, 20);
+  const renames = t.mock.method(fs, "renameSync");
+
+  store.saveSession("a", { userID: "u1" });
+  store.saveSession("b", { userID: "u2" });
+  assert.equal(fs.existsSync(file), false);
+
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(renames.mock.callCount(), 1);
+  assert.deepEqual(Object.keys(readFile(file)), ["a", "b"]);
+  assert.equal(readFile(file).a.userID, "u1");
+});
+
+test("sessions survive a restart", (t) => {
+  const file = tempFile(t);
+  const store = new FileSessionStore(file);
+  store.saveSession("a", { userID: "u1" });
+  store.flush();
+
+  assert.equal(new FileSessionStore(file).findSession("a").userID, "u1");
+});
+
+test("saving an unchanged session writes nothing", (t) => {
+  const file = tempFile(t);
+  const store = new FileSessionStore(file);
+  store.saveSession("a", { userID: "u1" });
+  store.flush();
+  fs.rmSync(file);
+
+  store.saveSession("a", { userID: "u1" });
+  store.flush();
+  assert.equal(fs.existsSync(file), false);
+
+  store.saveSession("a", { userID: "u2" });
+  store.flush();
+  assert.equal(readFile(file).a.userID, "u2");
+});
+
+test("a session seen again after a day is written with its new time", (t) => {
+  const file = tempFile(t);
+  const now = t.mock.method(Date, "now", () => 1000);
+  const store = new FileSessionStore(file);
+  store.saveSession("a", { userID: "u1" });
+  store.flush();
+
+  now.mock.mockImplementation(() => 1000 + DAY + 1);
+  store.saveSession("a", { userID: "u1" });
+  store.flush();
+  assert.equal(readFile(file).a.lastSeen, 1000 + DAY + 1);
+});
+
+test("stale sessions are dropped on load and on write", (t) => {
+  const file = tempFile(t);
+  const now = Date.now();
+  fs.writeFileSync(file, JSON.stringify({
+    stale: { userID: "u1", lastSeen: now - 31 * DAY },
+    fresh: { userID: "u2", lastSeen: now - DAY },
+    legacy: { userID: "u3" },
+  }));
+
+  const store = new FileSessionStore(file);
+  assert.equal(store.findSession("stale"), undefined);
+  assert.equal(store.findSession("fresh").userID, "u2");
+  assert.equal(store.findSession("legacy").userID, "u3");
+
+  store.flush();
+  assert.deepEqual(Object.keys(readFile(file)).sort(), ["fresh", "legacy"]);
+});
+
+test("a session deleted before the flush is never written", (t) => {
+  const file = tempFile(t);
+  const store = new FileSessionStore(file);
+  store.saveSession("a", { userID: "u1" });
+  store.saveSession("b", { userID: "u2" });
+  store.deleteSession("a");
+  store.flush();
+
+  assert.deepEqual(Object.keys(readFile(file)), ["b"]);
+});
+
+test("deleting an unknown session writes nothing", (t) => {
+  const file = tempFile(t);
+  const store = new FileSessionStore(file);
+  store.deleteSession("missing");
+  store.flush();
+
+  assert.equal(fs.existsSync(file), false);
+});
+
+test("an unreadable file starts an empty store", (t) => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, "{ not json");
+  t.mock.method(console, "error", () => {});
+
+  const store = new FileSessionStore(file);
+  assert.deepEqual(store.getAllSessions(), []);
+});
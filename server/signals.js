@@ -0,0 +1,38 @@
+// Private signals for information-asymmetry games: some players get noisy
+// readings of the final stock price or the hidden volatility on a schedule.
+// A signal: { round, userID, username, type, value, noise, actual }
+
+// What each `signals` setting sends
+const SIGNAL_TYPES = {
+  off: [],
+  price: ["price"],
+  volatility: ["volatility"],
+  both: ["price", "volatility"],
+};
+
+// ceil(share * n) of the players, chosen at random
+function pickInformed(userIDs, share) {
+  const shuffled = [...userIDs];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled.slice(0, Math.ceil(share * shuffled.length));
+}
+
+// Signals go out in round 1 and every `every` rounds after
+function signalDue(round, every) {
+  return (round - 1) % every === 0;
+}
+
+// `actual` with normal noise whose standard deviation is `noise` times it
+function noisyValue(actual, noise, z) {
+  return Math.max(0, Math.round(actual * (1 + noise * z) * 10000) / 10000);
+}
+
+// A signal as its player sees it: no ids and no true value
+function playerSignal({ round, type, value, noise }) {
+  return { round, type, value, noise };
+}
+
+module.exports = { SIGNAL_TYPES, pickInformed, signalDue, noisyValue, playerSignal };
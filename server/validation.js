@@ -0,0 +1,28 @@
+// Server-side checks on what players submit, driven by the room's config.
+// Each returns the reason a value is rejected, or null if it's acceptable.
+
+// A price must be a finite number within the room's range, on its tick grid
+function priceError(value, config, label = "Price") {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return `${label} must be a number`;
+  }
+  if (value < config.minPrice || value > config.maxPrice) {
+    return `${label} must be between ${config.minPrice} and ${config.maxPrice}`;
+  }
+  // allow for float noise, e.g. 0.3 / 0.1 = 2.9999999999999996
+  const ticks = value / config.tickSize;
+  if (Math.abs(ticks - Math.round(ticks)) > 1e-6) {
+    return `${label} must be a multiple of ${config.tickSize}`;
+  }
+  return null;
+}
+
+// A size is a whole number of contracts between 1 and `max`
+function sizeError(value, max, label = "Quantity") {
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    return `${label} must be a whole number between 1 and ${max}`;
+  }
+  return null;
+}
+
+module.exports = { priceError, sizeError };
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { priceError, sizeError } = require("./validation");
+
+const CONFIG = { minPrice: 0, maxPrice: 100, tickSize: 0.1 };
+
+test("prices on the tick grid within range are accepted", () => {
+  for (const price of [0, 0.3, 12.7, 100]) {
+    assert.equal(priceError(price, CONFIG), null);
+  }
+});
+
+test("anything but a finite number is refused", () => {
+  for (const value of ["5", null, undefined, NaN, Infinity, -Infinity]) {
+    assert.equal(priceError(value, CONFIG, "Bid"), "Bid must be a number");
+  }
+});
+
+test("prices outside the room's range are refused", () => {
+  assert.equal(priceError(-0.1, CONFIG), "Price must be between 0 and 100");
+  assert.equal(priceError(100.1, CONFIG), "Price must be between 0 and 100");
+});
+
+test("prices off the tick grid are refused", () => {
+  assert.equal(priceError(0.35, CONFIG, "Ask"), "Ask must be a multiple of 0.1");
+  assert.equal(priceError(7, { ...CONFIG, tickSize: 0.25 }), null);
+  assert.equal(priceError(7.1, { ...CONFIG, tickSize: 0.25 }), "Price must be a multiple of 0.25");
+});
+
+test("sizes must be whole numbers from 1 to the limit", () => {
+  assert.equal(sizeError(1, 10), null);
+  assert.equal(sizeError(10, 10), null);
+  for (const value of [0, -1, 11, 1.5, "2", NaN, null]) {
+    assert.equal(sizeError(value, 10, "Size"), "Size must be a whole number between 1 and 10");
+  }
+});
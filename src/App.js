@@ -1,6 +1,6 @@
 import React from 'react';
 import { useState, useEffect } from 'react';
-import { Button, Input, Stack, Heading, Text } from '@chakra-ui/react'
+import { Button, Input, Stack, Heading } from '@chakra-ui/react'
 
 //import logo from './logo.svg';
 import logofull from './logofull.png';
@@ -19,6 +19,9 @@ import toast, { Toaster } from 'react-hot-toast';
 //const Admin = lazy(() => import('./components/admin/admin.js'));
 import Game from './components/game/game.js';
 import Admin from './components/admin/admin.js';
+import RoomSettings from './components/admin/RoomSettings.js';
+import LobbyPlayers from './components/admin/LobbyPlayers.js';
+import Spectator from './components/spectator/Spectator.js';
 
 
 function App() {
@@ -26,7 +29,8 @@ function App() {
   const [state, setState] = useState(0);
   const [username, setUsername] = useState('');
   const [code, setCode] = useState('');
-  const [userDisp, setUserDisp] = useState('');
+  const [users, setUsers] = useState([]);
+  const [roomLocked, setRoomLocked] = useState(false);
   const [clientIsBehind, setClientIsBehind] = useState(false);
 
   
@@ -36,8 +40,9 @@ function App() {
       toast.error('room code cannot be empty');
       return;
     }
-    setUserDisp('')
-    socket.emit("room-start", code, socket.userID)
+    setUsers([])
+    setRoomLocked(false)
+    socket.emit("room-start", code)
     //socket.on('roomStartSuccess', () => {
     //  setState(1)
     //});
@@ -50,15 +55,24 @@ function App() {
     //})
   };
 
+  //spectator
+  const watchRoom = () => {
+    if(code.length === 0) {
+      toast.error('room code cannot be empty');
+      return;
+    }
+    socket.emit('join-spectator', code);
+  };
+
   const joinRoomFinal = () => {
-    socket.emit('join-room', code, username, socket.userID);
+    socket.emit('join-room', code, username);
     //socket.on('joinApproved', () => {
     //  setState(3);
     //});
   }
   
   const startGame = () => {
-    socket.emit('startGame', socket.userID);
+    socket.emit('startGame');
     //socket.on('gameStartedAdmin', () => {
     //  //don't start game if less than 2 players
     //  setState(4);
@@ -72,6 +86,7 @@ function App() {
   // 3 - trader page before game start
   // 4 - admin component
   // 5 - trader component
+  // 6 - spectator component (read-only, before and during the game)
   useEffect(() => {
     //app state changes
     socket.on('roomStartSuccess', () => {
@@ -83,6 +98,10 @@ function App() {
     socket.on('joinApproved', () => {
       setState(3);
     });
+    socket.on('spectateApproved', ({room}) => {
+      setCode(room);
+      setState(6);
+    });
     socket.on('gameStartedAdmin', () => {
       //don't start game if less than 2 players
       setState(4);
@@ -93,19 +112,21 @@ function App() {
     });
     socket.on('returnToLobby', () => {
       console.log("Received returnToLobby event in App.js");
-      setState(0); // Return to landing page
+      // Return to landing page; spectators keep watching the room for its next game
+      setState(prev => prev === 6 ? 6 : 0);
       toast.success('Game ended. Returned to lobby');
     });
 
-    //heartbeat
-    socket.on('heartbeat', () => {
-      socket.emit('heartbeatResponse', socket.userID);
-      console.log('hearbeatResponse');
-      console.log(socket.userID);
+    //host connection
+    socket.on('hostReconnecting', () => {
+      toast.error('host disconnected, waiting for them to reconnect');
+    });
+    socket.on('hostReturned', () => {
+      toast.success('host reconnected');
     });
 
     //persistent state
-    socket.on("session", ({sessionID, userID, pageState, clientBehind}) => {
+    socket.on("session", ({sessionID, userID, pageState, clientBehind, room}) => {
       console.log(userID);
       socket.auth = {sessionID};
       sessionStorage.setItem("sessionID", sessionID);
@@ -117,13 +138,40 @@ function App() {
 
 
       if(pageState === 1) {
-        socket.emit('getAdminData', userID);
+        socket.emit('getAdminData');
+      }
+      // a refreshed spectator has no code until the server names their room
+      if(pageState === 6) {
+        setCode(room);
       }
     });
 
-    socket.on('giveAdminData', ({code, users}) => {
+    socket.on('giveAdminData', ({code, users, locked}) => {
+      setCode(code);
+      setUsers(users);
+      setRoomLocked(locked);
+    });
+
+    //lobby management
+    socket.on('roomLockChanged', locked => {
+      setRoomLocked(locked);
+    });
+
+    socket.on('renamed', name => {
+      setUsername(name);
+      toast(`the host renamed you to ${name}`);
+    });
+
+    socket.on('becameHost', ({code}) => {
       setCode(code);
-      setUserDisp(constructUserList(users));
+      setState(1);
+      socket.emit('getAdminData');
+      toast.success('you are now the host');
+    });
+
+    socket.on('hostTransferred', () => {
+      setState(0);
+      toast.success('room handed off');
     });
 
     socket.on('kickPlayer', (id) => {
@@ -133,6 +181,13 @@ function App() {
       }
     });
 
+    socket.on('bannedPlayer', (id) => {
+      if (id === socket.userID) {
+        setState(0);
+        toast.error('you have been banned from this room');
+      }
+    });
+
     //errors
     socket.on('roomNameTaken', () => {
       toast.error('room name taken!');
@@ -146,6 +201,26 @@ function App() {
       toast.error('room does not exist');
     });
 
+    socket.on('roomLocked', () => {
+      toast.error('room is locked');
+    });
+
+    socket.on('bannedFromRoom', () => {
+      toast.error('you are banned from this room');
+    });
+
+    socket.on('renameRejected', reason => {
+      toast.error(reason);
+    });
+
+    socket.on('botRejected', reason => {
+      toast.error(reason);
+    });
+
+    socket.on('notAuthorized', ({reason}) => {
+      toast.error(reason);
+    });
+
     // admin left? return to main menu
     socket.on('roomClosed', () => {
       setState(0);
@@ -157,36 +232,12 @@ function App() {
     });
     
     socket.on('updateUserDisp', users => {
-      setUserDisp(constructUserList(users));
+      setUsers(users);
     });
 
     socket.on('gameStartedPlayer', () => {
-      setState(5);
+      setState(prev => prev === 6 ? 6 : 5);
     });
-
-    function constructUserList(users) {
-      if(users.length === 0) {
-        return;
-      }
-      const userElements = users.map((userData, index) => (
-        <span 
-          key={index} 
-          className="underline-on-hover" 
-          onClick = {() => kickPlayer(userData[0])}
-        > 
-        <Text fontSize='3xl'>
-          {userData[1]} 
-        </Text>
-        </span>
-      ));
-      return <div className="user-list">{userElements}</div>;
-    }
-
-    const kickPlayer = (id) => {
-      //delete user for innapropriate name or something
-      socket.emit('kickPlayer', id);
-      console.log('kickPlayer', id);
-    }
   }, []);
 
 
@@ -221,6 +272,9 @@ function App() {
           <Button size='md' width='125px' variant="solid" colorScheme='purple' onClick = {createRoom}>Create Room</Button>
         </Stack>
         </span>
+        <span className='nowrap'>
+        <Button size='sm' width='250px' variant="outline" colorScheme='gray' color='white' onClick = {watchRoom}>Watch as Spectator</Button>
+        </span>
         <Heading as='h4' size='lg' p='20px' noOfLines={3}>Play <code>The Market Making Game!</code> Enter a game code to join or start a new game.</Heading>
       </>
       renderLogo = logo;
@@ -234,8 +288,9 @@ function App() {
       <>
         <Heading as='h1' size='4xl' noOfLines={1} p='10px' mb='40px'>Game Code: {code}</Heading><br></br>
         <Heading as='h2' size='2xl' noOfLines={1} p='10px' mb='20px'>Players:</Heading><br></br>
-        {userDisp}
+        <LobbyPlayers users={users} locked={roomLocked} />
         <br></br>
+        <RoomSettings />
         <Button size='md' width='125px' variant='solid' colorScheme='blue' onClick = {startGame} mt='20px'>Start Game</Button>
         <br></br>
       </>
@@ -285,6 +340,14 @@ function App() {
       />;
     renderLogo = null;
   }
+  else if (state === 6) {
+    inputs =
+      <Spectator
+        room={code}
+        onLeave={() => setState(0)}
+      />;
+    renderLogo = null;
+  }
 
 
   return (
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect, useContext } from 'react';
 import {
   Box,
   Table,
@@ -11,15 +11,60 @@ import {
   Button,
   Flex,
   Badge,
-  Text
+  Text,
+  Menu,
+  MenuButton,
+  MenuItem,
+  MenuList
 } from '@chakra-ui/react';
+import SocketContext from "../../socket";
+import { CSV_TABLES, downloadGameJson, downloadGameCsv } from "../../utils/exportGame";
+import { METRICS, metricFor } from "../../utils/metrics";
+import { describeSignal } from "../../utils/signals";
 
-const GameScoreboard = ({ results, onReturnToLobby, room}) => {
-  // Sort players by Sharpe ratio in descending order
-  const sortedPlayers = Object.entries(results || {}).sort((a, b) => {
-    return b[1].sharpe - a[1].sharpe;
+const GameScoreboard = ({ results, onReturnToLobby, room }) => {
+  const socket = useContext(SocketContext);
+
+  // Full game record for export, fetched once the scoreboard is shown
+  const [record, setRecord] = useState(null);
+
+  useEffect(() => {
+    socket.on("gameExport", setRecord);
+    socket.emit("exportGame");
+
+    return () => {
+      socket.off("gameExport");
+    };
+  }, [socket]);
+
+  // Column the table is sorted by; null keeps the server's ranking
+  const [sortKey, setSortKey] = useState(null);
+  const [ascending, setAscending] = useState(false);
+
+  const players = Object.entries(results || {});
+  const rankingMetric = players.length ? metricFor(players[0][1].rankingMetric) : null;
+
+  // Clicking a column sorts best-first by it; clicking again flips the order
+  const sortBy = (metric) => {
+    if (sortKey === metric.key) {
+      setAscending(!ascending);
+    } else {
+      setSortKey(metric.key);
+      setAscending(!metric.higherIsBetter);
+    }
+  };
+
+  const sortedPlayers = [...players].sort((a, b) => {
+    if (!sortKey) return a[1].rank - b[1].rank;
+    return ascending ? a[1][sortKey] - b[1][sortKey] : b[1][sortKey] - a[1][sortKey];
   });
 
+  const arrow = (key) => (sortKey === key ? (ascending ? " ▲" : " ▼") : "");
+
+  // Two-sided quoting games also report spread captured and inventory risk
+  const isTwoSided = sortedPlayers.length > 0 && sortedPlayers[0][1].mode === "two-sided";
+  const hasSignals = sortedPlayers.some(([, playerData]) => playerData.informed);
+
   return (
     <Box
       borderWidth="1px"
@@ -29,77 +74,154 @@ const GameScoreboard = ({ results, onReturnToLobby, room}) => {
       p={5}
       m={5}
       bg="gray.800"
-      maxW="800px"
+      maxW="1200px"
       mx="auto"
       color="white"
     >
-      <Heading size="xl" textAlign="center" mb={6} color="white">
+      <Heading size="xl" textAlign="center" mb={2} color="white">
         Final Results
       </Heading>
+      {rankingMetric && (
+        <Text textAlign="center" color="gray.300" mb={6}>
+          Ranked by {rankingMetric.label} · click a column to sort
+        </Text>
+      )}
       
-      <Table variant="simple" size="lg">
-        <Thead>
-          <Tr>
-            <Th bg="gray.700" color="white" borderRadius="md" p={4}>Rank</Th>
-            <Th bg="gray.700" color="white" p={4}>Player</Th>
-            <Th bg="gray.700" color="white" p={4} isNumeric>Sharpe Ratio</Th>
-            <Th bg="gray.700" color="white" borderRadius="md" p={4} isNumeric>Final P&L</Th>
-          </Tr>
-        </Thead>
-        <Tbody>
-          {sortedPlayers.map((player, index) => {
-            const [userId, playerData] = player;
-            const isWinner = index === 0;
-            
-            // Calculate P&L (assuming starting cash was 100)
-            const pnl = playerData.finalCash - 100;
-            const isProfitable = pnl >= 0;
-            
-            return (
-              <Tr 
-                key={userId} 
-                bg={index % 2 === 0 ? "gray.700" : "gray.600"}
-                _hover={{ bg: 'gray.500' }}
+      <Box overflowX="auto">
+        <Table variant="simple" size="md">
+          <Thead>
+            <Tr>
+              <Th
+                bg="gray.700"
+                color="white"
+                borderRadius="md"
+                p={3}
+                cursor="pointer"
+                onClick={() => setSortKey(null)}
               >
-                <Td p={4} color="white">
-                  {index === 0 ? (
-                    <Badge colorScheme="yellow" p={2} borderRadius="full" fontSize="md">
-                      🏆 1st
-                    </Badge>
-                  ) : index === 1 ? (
-                    <Badge colorScheme="gray" p={2} borderRadius="full" fontSize="md">
-                      🥈 2nd
-                    </Badge>
-                  ) : index === 2 ? (
-                    <Badge colorScheme="orange" p={2} borderRadius="full" fontSize="md">
-                      🥉 3rd
-                    </Badge>
-                  ) : (
-                    `${index + 1}th`
+                Rank
+              </Th>
+              <Th bg="gray.700" color="white" p={3}>Player</Th>
+              {METRICS.map((metric) => (
+                <Th
+                  key={metric.key}
+                  bg="gray.700"
+                  color={metric.key === rankingMetric?.key ? "yellow.300" : "white"}
+                  p={3}
+                  isNumeric
+                  cursor="pointer"
+                  onClick={() => sortBy(metric)}
+                >
+                  {metric.label}{arrow(metric.key)}
+                </Th>
+              ))}
+              <Th bg="gray.700" color="white" p={3} isNumeric>Edge vs Theo</Th>
+              {isTwoSided && <Th bg="gray.700" color="white" p={3} isNumeric>Spread Captured</Th>}
+              {isTwoSided && <Th bg="gray.700" color="white" borderRadius="md" p={3} isNumeric>Max Inventory</Th>}
+              {hasSignals && <Th bg="gray.700" color="white" p={3}>Private Signals</Th>}
+            </Tr>
+          </Thead>
+          <Tbody>
+            {sortedPlayers.map((player, index) => {
+              const [userId, playerData] = player;
+              const rank = playerData.rank;
+              const isWinner = rank === 1;
+              
+              return (
+                <Tr 
+                  key={userId} 
+                  bg={index % 2 === 0 ? "gray.700" : "gray.600"}
+                  _hover={{ bg: 'gray.500' }}
+                >
+                  <Td p={3} color="white">
+                    {rank === 1 ? (
+                      <Badge colorScheme="yellow" p={2} borderRadius="full" fontSize="md">
+                        🏆 1st
+                      </Badge>
+                    ) : rank === 2 ? (
+                      <Badge colorScheme="gray" p={2} borderRadius="full" fontSize="md">
+                        🥈 2nd
+                      </Badge>
+                    ) : rank === 3 ? (
+                      <Badge colorScheme="orange" p={2} borderRadius="full" fontSize="md">
+                        🥉 3rd
+                      </Badge>
+                    ) : (
+                      `${rank}th`
+                    )}
+                  </Td>
+                  <Td p={3} fontWeight={isWinner ? "bold" : "normal"} color="white">
+                    {playerData.username}
+                    {isWinner && <span> 👑</span>}
+                  </Td>
+                  {METRICS.map((metric) => (
+                    <Td
+                      key={metric.key}
+                      p={3}
+                      isNumeric
+                      fontWeight={metric.key === rankingMetric?.key ? "bold" : "normal"}
+                      color={metric.key === "pnl" ? (playerData.pnl >= 0 ? "green.300" : "red.300") : "white"}
+                    >
+                      {metric.format(playerData[metric.key])}
+                    </Td>
+                  ))}
+                  <Td p={3} isNumeric color={playerData.edge >= 0 ? "green.300" : "red.300"}>
+                    {playerData.edge >= 0 ? "+" : ""}${playerData.edge.toFixed(2)}
+                  </Td>
+                  {isTwoSided && (
+                    <Td p={3} isNumeric color="white">
+                      ${playerData.spreadCaptured.toFixed(2)}
+                    </Td>
+                  )}
+                  {isTwoSided && (
+                    <Td p={3} isNumeric color="white">
+                      {playerData.maxInventory}
+                    </Td>
                   )}
-                </Td>
-                <Td p={4} fontWeight={isWinner ? "bold" : "normal"} color="white">
-                  {playerData.username}
-                  {isWinner && <span> 👑</span>}
-                </Td>
-                <Td p={4} isNumeric fontWeight="bold" color="white">
-                  {playerData.sharpe.toFixed(2)}
-                </Td>
-                <Td p={4} isNumeric>
-                  <Text
-                    color={isProfitable ? "green.300" : "red.300"}
-                    fontWeight="bold"
-                  >
-                    {isProfitable ? "+" : ""}${pnl.toFixed(2)}
-                  </Text>
-                </Td>
-              </Tr>
-            );
-          })}
-        </Tbody>
-      </Table>
+                  {hasSignals && (
+                    <Td p={3} color="white" fontSize="sm">
+                      {playerData.signals.length
+                        ? playerData.signals.map((signal, i) => (
+                            <div key={i}>Rnd {signal.round}: {describeSignal(signal)}</div>
+                          ))
+                        : "—"}
+                    </Td>
+                  )}
+                </Tr>
+              );
+            })}
+          </Tbody>
+        </Table>
+      </Box>
       
-      <Flex justifyContent="center" mt={8}>
+      <Flex justifyContent="center" mt={8} gap={4} wrap="wrap">
+        <Button
+          colorScheme="teal"
+          size="lg"
+          onClick={() => downloadGameJson(record)}
+          isDisabled={!record}
+          boxShadow="md"
+        >
+          Export JSON
+        </Button>
+        <Menu>
+          <MenuButton
+            as={Button}
+            colorScheme="teal"
+            size="lg"
+            isDisabled={!record}
+            boxShadow="md"
+          >
+            Export CSV
+          </MenuButton>
+          <MenuList color="black">
+            {CSV_TABLES.map((table) => (
+              <MenuItem key={table} onClick={() => downloadGameCsv(record, table)}>
+                {table}.csv
+              </MenuItem>
+            ))}
+          </MenuList>
+        </Menu>
         <Button
           colorScheme="blue"
           size="lg"
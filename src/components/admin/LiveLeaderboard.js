@@ -0,0 +1,54 @@
+import React from 'react';
+import { Box, Table, Tbody, Td, Text, Th, Thead, Tr } from '@chakra-ui/react';
+import { metricFor } from '../../utils/metrics';
+
+// Standings after the last closed round (or the final ones), large enough to project
+export default function LiveLeaderboard({ leaderboard, maxRows = 10 }) {
+  if (!leaderboard) return null;
+
+  const metric = metricFor(leaderboard.metric);
+  const rows = leaderboard.entries.slice(0, maxRows);
+
+  return (
+    <Box bg="gray.700" borderRadius="md" p={4} textAlign="left">
+      <Text fontWeight="bold" fontSize="xl" color="white" mb={1}>Leaderboard</Text>
+      <Text fontSize="sm" color="gray.300" mb={3}>
+        {leaderboard.final ? "Final standings" : `After round ${leaderboard.round}`} · ranked by {metric.label}
+      </Text>
+      <Table size="md" variant="unstyled">
+        <Thead>
+          <Tr>
+            <Th color="gray.300">#</Th>
+            <Th color="gray.300">Player</Th>
+            <Th color="gray.300" isNumeric>{metric.label}</Th>
+            {metric.key !== "pnl" && <Th color="gray.300" isNumeric>P&L</Th>}
+          </Tr>
+        </Thead>
+        <Tbody>
+          {rows.length === 0 && (
+            <Tr>
+              <Td colSpan={4} color="gray.400" textAlign="center">No players yet</Td>
+            </Tr>
+          )}
+          {rows.map((entry) => (
+            <Tr key={`${entry.rank}-${entry.name}`}>
+              <Td color="white" fontWeight="bold">{entry.rank}</Td>
+              <Td color="white" fontSize="lg">{entry.name}</Td>
+              <Td color="white" isNumeric fontWeight="bold">{metric.format(entry.value)}</Td>
+              {metric.key !== "pnl" && (
+                <Td isNumeric color={entry.pnl >= 0 ? "green.300" : "red.300"}>
+                  {metricFor("pnl").format(entry.pnl)}
+                </Td>
+              )}
+            </Tr>
+          ))}
+        </Tbody>
+      </Table>
+      {leaderboard.entries.length > rows.length && (
+        <Text fontSize="sm" color="gray.400" mt={2}>
+          and {leaderboard.entries.length - rows.length} more
+        </Text>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useState, useContext } from 'react';
+import {
+  Box,
+  Button,
+  Flex,
+  Input,
+  Menu,
+  MenuButton,
+  MenuItem,
+  MenuList,
+  Select,
+  Text,
+} from '@chakra-ui/react';
+import SocketContext from '../../socket';
+
+// Bot strategies the server can run (see server/bots.js)
+const BOT_STRATEGIES = [
+  { value: 'noise', label: 'Noise trader' },
+  { value: 'fairValue', label: 'Fair-value trader' },
+  { value: 'momentum', label: 'Momentum trader' },
+  { value: 'marketMaker', label: 'Market maker' },
+];
+
+// Bots' userIDs are made up by the server with this prefix
+const isBot = (id) => id.startsWith('bot-');
+
+// Lobby player list for the admin: kick, ban, rename or hand the room to a player,
+// add or remove bot traders, and lock the room to new joins
+export default function LobbyPlayers({ users, locked }) {
+  const socket = useContext(SocketContext);
+  const [renaming, setRenaming] = useState(null); // userID being renamed
+  const [newName, setNewName] = useState('');
+  const [botStrategy, setBotStrategy] = useState('fairValue');
+
+  const startRename = (id, name) => {
+    setRenaming(id);
+    setNewName(name);
+  };
+
+  const submitRename = () => {
+    socket.emit('renamePlayer', renaming, newName);
+    setRenaming(null);
+  };
+
+  const transferHost = (id, name) => {
+    if (window.confirm(`Hand this room to ${name}? You will leave the room.`)) {
+      socket.emit('transferHost', id);
+    }
+  };
+
+  return (
+    <Box width='100%' maxW='500px'>
+      {users.length === 0 && <Text fontSize='xl' color='gray.300'>Waiting for players...</Text>}
+
+      {users.map(([id, name]) => (
+        <Flex key={id} align='center' justify='center' mb={2}>
+          {renaming === id ? (
+            <>
+              <Input
+                size='md'
+                width='200px'
+                value={newName}
+                maxLength='15'
+                autoFocus={true}
+                onChange={(e) => setNewName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && submitRename()}
+              />
+              <Button size='sm' ml={2} colorScheme='blue' onClick={submitRename}>Save</Button>
+              <Button size='sm' ml={1} variant='ghost' color='white' onClick={() => setRenaming(null)}>Cancel</Button>
+            </>
+          ) : (
+            <Menu>
+              <MenuButton as={Button} variant='ghost' color='white' fontSize='3xl' height='auto' py={1}>
+                {name}
+              </MenuButton>
+              {isBot(id) ? (
+                <MenuList color='black' fontSize='md'>
+                  <MenuItem onClick={() => startRename(id, name)}>Rename</MenuItem>
+                  <MenuItem onClick={() => socket.emit('kickPlayer', id)}>Remove bot</MenuItem>
+                </MenuList>
+              ) : (
+                <MenuList color='black' fontSize='md'>
+                  <MenuItem onClick={() => startRename(id, name)}>Rename</MenuItem>
+                  <MenuItem onClick={() => transferHost(id, name)}>Make host</MenuItem>
+                  <MenuItem onClick={() => socket.emit('kickPlayer', id)}>Kick</MenuItem>
+                  <MenuItem color='red.500' onClick={() => socket.emit('banPlayer', id)}>Ban</MenuItem>
+                </MenuList>
+              )}
+            </Menu>
+          )}
+        </Flex>
+      ))}
+
+      <Flex justify='center' mt={3}>
+        <Select size='sm' width='180px' value={botStrategy} onChange={(e) => setBotStrategy(e.target.value)}>
+          {BOT_STRATEGIES.map((s) => (
+            <option key={s.value} value={s.value} style={{ color: 'black' }}>{s.label}</option>
+          ))}
+        </Select>
+        <Button size='sm' ml={2} colorScheme='teal' onClick={() => socket.emit('addBot', botStrategy)}>
+          Add bot
+        </Button>
+      </Flex>
+
+      <Button
+        size='sm'
+        mt={3}
+        colorScheme={locked ? 'orange' : 'gray'}
+        onClick={() => socket.emit('setRoomLocked', !locked)}
+      >
+        {locked ? 'Room locked · Unlock' : 'Lock room'}
+      </Button>
+    </Box>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useEffect, useState, useContext } from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  FormErrorMessage,
+  FormLabel,
+  Input,
+  Select,
+  SimpleGrid,
+  Text,
+} from '@chakra-ui/react';
+import SocketContext from '../../socket';
+import { describeEvent } from '../../utils/marketEvents';
+
+const EVENT_TYPES = [
+  { value: 'jump', label: 'Price jump', amountLabel: 'Jump (%)', placeholder: 'e.g. 10 or -15' },
+  { value: 'volatility', label: 'Volatility change', amountLabel: 'New volatility (%)', placeholder: 'e.g. 60' },
+  { value: 'headline', label: 'Headline only' },
+];
+
+// Inject market events mid-game, e.g. an "earnings announcement" that moves the
+// stock, and see what players have been told so far
+export default function MarketEvents() {
+  const socket = useContext(SocketContext);
+  const [type, setType] = useState('jump');
+  const [amount, setAmount] = useState('');
+  const [headline, setHeadline] = useState('');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState([]);
+
+  useEffect(() => {
+    const onEvent = (event) => {
+      setSent((prev) => [...prev, event]);
+      setError('');
+    };
+    const onRejected = ({ reason }) => setError(reason);
+    const onSnapshot = (snap) => setSent(snap.events || []);
+
+    socket.on('marketEvent', onEvent);
+    socket.on('marketEventRejected', onRejected);
+    socket.on('stateSnapshot', onSnapshot); // admin.js listens to this too
+
+    return () => {
+      socket.off('marketEvent', onEvent);
+      socket.off('marketEventRejected', onRejected);
+      socket.off('stateSnapshot', onSnapshot);
+    };
+  }, [socket]);
+
+  const eventType = EVENT_TYPES.find((t) => t.value === type);
+
+  const trigger = () => {
+    const event = { type, headline: headline.trim() };
+    if (type === 'jump') {
+      event.percent = Number(amount);
+    } else if (type === 'volatility') {
+      event.volatility = Number(amount) / 100;
+    }
+    socket.emit('triggerMarketEvent', event);
+    setHeadline('');
+  };
+
+  return (
+    <Box bg="gray.700" borderRadius="md" p={4} textAlign="left">
+      <Text fontWeight="bold" fontSize="xl" mb={3}>Market Events</Text>
+      <SimpleGrid columns={{ base: 1, md: 3 }} spacing={3}>
+        <FormControl>
+          <FormLabel>Event</FormLabel>
+          <Select value={type} onChange={(e) => setType(e.target.value)}>
+            {EVENT_TYPES.map((t) => (
+              <option key={t.value} value={t.value} style={{ color: 'black' }}>{t.label}</option>
+            ))}
+          </Select>
+        </FormControl>
+        {eventType.amountLabel && (
+          <FormControl>
+            <FormLabel>{eventType.amountLabel}</FormLabel>
+            <Input value={amount} placeholder={eventType.placeholder} onChange={(e) => setAmount(e.target.value)} />
+          </FormControl>
+        )}
+        <FormControl isInvalid={error !== ''}>
+          <FormLabel>Headline{type === 'headline' ? '' : ' (optional)'}</FormLabel>
+          <Input value={headline} maxLength={140} placeholder="e.g. Q3 earnings beat" onChange={(e) => setHeadline(e.target.value)} />
+          <FormErrorMessage>{error}</FormErrorMessage>
+        </FormControl>
+      </SimpleGrid>
+      <Button mt={3} colorScheme="orange" onClick={trigger}>Trigger Event</Button>
+
+      {sent.length > 0 && (
+        <Box mt={4}>
+          {[...sent].reverse().map((event, i) => (
+            <Text key={sent.length - i} fontSize="sm" color="gray.300">
+              Round {event.round}: {describeEvent(event)}
+            </Text>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useEffect, useState, useContext } from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  FormErrorMessage,
+  FormLabel,
+  Heading,
+  Input,
+  Select,
+  SimpleGrid,
+} from '@chakra-ui/react';
+import toast from 'react-hot-toast';
+import SocketContext from '../../socket';
+import { METRICS } from '../../utils/metrics';
+
+// Settings shown in the lobby form. Percent fields are stored as decimals on the server;
+// list fields are arrays there and comma-separated text here.
+const FIELDS = [
+  {
+    key: 'mode',
+    label: 'Trading Mode',
+    options: [
+      { value: 'single', label: 'Single price vs computer' },
+      { value: 'two-sided', label: 'Two-sided quotes' },
+      { value: 'order-book', label: 'Player order book' },
+    ],
+  },
+  { key: 'callStrikes', label: 'Call Strikes (comma separated)', list: true },
+  { key: 'putStrikes', label: 'Put Strikes (comma separated)', list: true },
+  {
+    key: 'includeStock',
+    label: 'List the Stock',
+    options: [
+      { value: 'false', label: 'No' },
+      { value: 'true', label: 'Yes' },
+    ],
+  },
+  { key: 'startingCash', label: 'Starting Cash ($)' },
+  { key: 'riskFreeRate', label: 'Risk-Free Rate (%)', percent: true },
+  { key: 'volatilityMin', label: 'Min Volatility (%)', percent: true },
+  { key: 'volatilityMax', label: 'Max Volatility (%)', percent: true },
+  { key: 'roundSeconds', label: 'Round Length (s)' },
+  { key: 'totalRounds', label: 'Total Rounds' },
+  { key: 'maxQuoteSize', label: 'Max Quote / Order Size' },
+  { key: 'minPrice', label: 'Min Price ($)' },
+  { key: 'maxPrice', label: 'Max Price ($)' },
+  { key: 'tickSize', label: 'Tick Size ($)' },
+  { key: 'orderFlowMax', label: 'Max Order Flow / Round (two-sided)' },
+  {
+    key: 'clearingRule',
+    label: 'Clearing Rule (single)',
+    options: [
+      { value: 'median', label: 'Median: fill at own price' },
+      { value: 'uniform', label: 'Uniform price auction' },
+      { value: 'randomQuantity', label: 'Random quantity, best first' },
+      { value: 'proRata', label: 'Pro-rata at best price' },
+      { value: 'bestN', label: 'Best N bids only' },
+    ],
+  },
+  { key: 'clearingQuantity', label: 'Computer Quantity (single)' },
+  {
+    key: 'reservationPrice',
+    label: 'Computer Reservation Price (single)',
+    options: [
+      { value: 'false', label: 'None: always trades' },
+      { value: 'true', label: 'Hidden, near fair value' },
+    ],
+  },
+  { key: 'reservationNoise', label: 'Reservation Noise (% of fair value)', percent: true },
+  {
+    key: 'signals',
+    label: 'Private Signals',
+    options: [
+      { value: 'off', label: 'None' },
+      { value: 'price', label: 'Final stock price' },
+      { value: 'volatility', label: 'Volatility' },
+      { value: 'both', label: 'Price and volatility' },
+    ],
+  },
+  { key: 'signalShare', label: 'Players Receiving Signals (%)', percent: true },
+  { key: 'signalNoise', label: 'Signal Noise (% of true value)', percent: true },
+  { key: 'signalEvery', label: 'Signal Every N Rounds' },
+  { key: 'botError', label: 'Fair-Value Bot Error (%)', percent: true },
+  { key: 'hostGraceSeconds', label: 'Host Reconnect Grace (s)' },
+  { key: 'maxLong', label: 'Max Long per Instrument' },
+  { key: 'maxShort', label: 'Max Short per Instrument' },
+  { key: 'minCash', label: 'Minimum Cash ($)' },
+  { key: 'shortMargin', label: 'Short Margin (% of stock price)', percent: true },
+  {
+    key: 'rankingMetric',
+    label: 'Rank Players By',
+    options: METRICS.map(({ key, label }) => ({ value: key, label })),
+  },
+  {
+    key: 'showLeaderboard',
+    label: 'Live Leaderboard',
+    options: [
+      { value: 'true', label: 'Show after each round' },
+      { value: 'false', label: 'Hide until the end' },
+    ],
+  },
+  {
+    key: 'anonymizeLeaderboard',
+    label: 'Leaderboard Names',
+    options: [
+      { value: 'false', label: 'Usernames' },
+      { value: 'true', label: 'Anonymous' },
+    ],
+  },
+  {
+    key: 'autoLiquidate',
+    label: 'Auto-Liquidate Below Margin',
+    options: [
+      { value: 'false', label: 'No' },
+      { value: 'true', label: 'Yes' },
+    ],
+  },
+];
+
+function toFormValues(config) {
+  const values = {};
+  FIELDS.forEach(({ key, percent, list }) => {
+    if (config[key] === undefined) return;
+    if (list) {
+      values[key] = config[key].join(', ');
+      return;
+    }
+    // round away float noise like 0.1 * 100 = 10.000000000000002
+    values[key] = String(percent ? parseFloat((config[key] * 100).toFixed(6)) : config[key]);
+  });
+  return values;
+}
+
+function fromFormValues(values) {
+  const config = {};
+  FIELDS.forEach(({ key, percent }) => {
+    if (values[key] === undefined) return;
+    const value = values[key].trim();
+    config[key] = percent && value !== '' ? Number(value) / 100 : value;
+  });
+  return config;
+}
+
+export default function RoomSettings() {
+  const socket = useContext(SocketContext);
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    socket.on('roomConfigUpdated', (config) => {
+      setValues(toFormValues(config));
+      setErrors({});
+    });
+    socket.on('roomConfigError', (errs) => {
+      setErrors(errs);
+      toast.error('some settings are invalid');
+    });
+
+    socket.emit('getRoomConfig');
+
+    return () => {
+      socket.off('roomConfigUpdated');
+      socket.off('roomConfigError');
+    };
+  }, [socket]);
+
+  const saveSettings = () => {
+    socket.emit('updateRoomConfig', fromFormValues(values));
+  };
+
+  return (
+    <Box p={5} bg="gray.700" borderRadius="lg" maxW="700px" w="100%" textAlign="left">
+      <Heading as="h3" size="md" mb={4}>Room Settings</Heading>
+      <SimpleGrid columns={{ base: 1, md: 2 }} spacing={3}>
+        {FIELDS.map(({ key, label, options, list }) => (
+          <FormControl key={key} isInvalid={!!errors[key]}>
+            <FormLabel fontSize="sm" mb={1}>{label}</FormLabel>
+            {options ? (
+              <Select
+                size="sm"
+                value={values[key] ?? ''}
+                onChange={(e) => setValues({ ...values, [key]: e.target.value })}
+              >
+                {options.map((opt) => (
+                  <option key={opt.value} value={opt.value} style={{ color: 'black' }}>
+                    {opt.label}
+                  </option>
+                ))}
+              </Select>
+            ) : (
+              <Input
+                size="sm"
+                type={list ? "text" : "number"}
+                value={values[key] ?? ''}
+                onChange={(e) => setValues({ ...values, [key]: e.target.value })}
+              />
+            )}
+            <FormErrorMessage>{errors[key]}</FormErrorMessage>
+          </FormControl>
+        ))}
+      </SimpleGrid>
+      <Button size="sm" mt={4} colorScheme="purple" onClick={saveSettings}>
+        Save Settings
+      </Button>
+    </Box>
+  );
+}
@@ -2,18 +2,28 @@ import React, { useEffect, useState, useContext } from "react";
 import { Button, Box, Text, Flex, Heading, Stack, CircularProgress, CircularProgressLabel } from "@chakra-ui/react";
 import SocketContext from "../../socket";
 import GameScoreboard from "./GameScoreboard"; // Import the new component
+import TradeBlotter from "../game/TradeBlotter";
+import LiveLeaderboard from "./LiveLeaderboard";
+import MarketEvents from "./MarketEvents";
+import useCountdown, { clockOffset } from "../../utils/useCountdown";
 
-export default function Admin({ userID, room }) {
+export default function Admin({ room }) {
   // --------------------------------------------
   //  A) State
   // --------------------------------------------
-  // 1) 30-second countdown for this round
-  const [roundTimeLeft, setRoundTimeLeft] = useState(30);
-
-  // 2) Rounds remaining (start at 60 = 30 minutes)
-  const [roundsRemaining, setRoundsRemaining] = useState(60);
-
-  // 3) Current Brownian-motion-based price (display only; server has its own logic)
+  // 1) Current round timing, as announced by the server's roundStarted event
+  const [round, setRound] = useState({
+    round: 0,
+    totalRounds: 60,
+    roundSeconds: 30,
+    deadline: null,
+    offset: 0,
+  });
+
+  // 2) Rounds remaining, counting the one in progress
+  const roundsRemaining = Math.max(0, round.totalRounds - round.round + 1);
+
+  // 3) Current underlying price, pushed by the server every round
   const [currentPrice, setCurrentPrice] = useState(100);
 
   // 4) Final results from server
@@ -22,48 +32,67 @@ export default function Admin({ userID, room }) {
   // 5) Game state (playing or ended)
   const [gameState, setGameState] = useState("playing");
 
+  // 6) Every fill in the room, and the instruments they trade
+  const [roomBlotter, setRoomBlotter] = useState([]);
+  const [instruments, setInstruments] = useState([]);
+
+  // 7) Standings after the last closed round (null if the room hides them)
+  const [leaderboard, setLeaderboard] = useState(null);
+
   // Socket from context
   const socket = useContext(SocketContext);
 
   // --------------------------------------------
-  //  B) Brownian Motion Config & Helper
+  //  B) Effects
   // --------------------------------------------
-  // Hidden random annualized volatility between 0.1 (10%) and 0.4 (40%)
-  const [volatility] = useState(() => 0.1 + Math.random() * 0.3);
-
-  // Annual risk-free rate = 5%
-  const RISK_FREE_RATE = 0.05;
-
-  // For a 30-second step as fraction of a year => 30 minutes = 1 year => each 30s step = 1/60 year
-  // But here we do a 15-second fraction. Keep or adjust as suits your original logic.
-  const SECONDS_PER_YEAR = 60 * 30; 
-  const DELTA_T = 15 / SECONDS_PER_YEAR;
-
-  // Box-Muller transform
-  function randomNormal() {
-    const u = 1 - Math.random(); // avoid log(0)
-    const v = 1 - Math.random();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-  }
 
-  // Geometric Brownian Motion step
-  function evolvePrice(prev) {
-    const z = randomNormal();
-    return (
-      prev *
-      Math.exp(
-        (RISK_FREE_RATE - 0.5 * volatility * volatility) * DELTA_T +
-          volatility * Math.sqrt(DELTA_T) * z
-      )
-    );
-  }
+  // 1) Listen for price updates, final results / game over
+  useEffect(() => {
+    socket.on("priceUpdate", ({ price }) => {
+      setCurrentPrice(price);
+    });
 
-  // --------------------------------------------
-  //  C) Effects
-  // --------------------------------------------
+    socket.on("roundStarted", (payload) => {
+      setRound({
+        round: payload.round,
+        totalRounds: payload.totalRounds,
+        roundSeconds: payload.roundSeconds,
+        deadline: payload.deadline,
+        offset: clockOffset(payload.serverTime),
+      });
+      setInstruments(payload.instruments);
+    });
+
+    // Round clock restarted after we reconnected
+    socket.on("roundResumed", ({ deadline, serverTime }) => {
+      setRound((prev) => ({ ...prev, deadline, offset: clockOffset(serverTime) }));
+    });
+
+    socket.on("roomBlotter", setRoomBlotter);
+    socket.on("leaderboard", setLeaderboard);
+
+    // Full game state after a refresh or reconnect
+    socket.on("stateSnapshot", (snap) => {
+      if (snap.gameOver) {
+        setResults(snap.results);
+        setGameState("ended");
+        return;
+      }
+      setRound({
+        round: snap.round,
+        totalRounds: snap.totalRounds,
+        roundSeconds: snap.roundSeconds,
+        deadline: snap.serverTime + snap.timeRemaining,
+        offset: clockOffset(snap.serverTime),
+      });
+      setCurrentPrice(snap.price);
+      setInstruments(snap.instruments);
+      setRoomBlotter(snap.blotter);
+      setLeaderboard(snap.leaderboard);
+    });
+
+    socket.emit("syncGame");
 
-  // 1) Listen for final results / game over
-  useEffect(() => {
     socket.on("finalResults", (res) => {
       setResults(res);
       setGameState("ended");
@@ -72,81 +101,50 @@ export default function Admin({ userID, room }) {
     socket.on("gameOver", (payload) => {
       console.log("Game Over:", payload.message);
       setGameState("ended");
-      setRoundsRemaining(0);
     });
 
     return () => {
+      socket.off("priceUpdate");
+      socket.off("roundStarted");
+      socket.off("roundResumed");
+      socket.off("stateSnapshot");
+      socket.off("roomBlotter");
+      socket.off("leaderboard");
       socket.off("finalResults");
       socket.off("gameOver");
     };
   }, [socket]);
 
-  // Finalize game with current price
+  // 2) Seconds left in the current round, from the server's deadline
+  const roundTimeLeft = useCountdown(round.deadline, round.offset);
+
+  // --------------------------------------------
+  //  C) Game Control Functions
+  // --------------------------------------------
+  
+  // End the game early; the server settles against its own underlying price
   const finalizeGame = () => {
     if (gameState !== "ended") {
-      socket.emit("finalizeGame", userID, currentPrice);
+      socket.emit("finalizeGame");
       setGameState("ended");
     }
   };
-  // 2) A 1-second interval that counts down roundTimeLeft
-  //    When it hits 0, we do the next round update
-  useEffect(() => {
-    if (gameState === "ended") return;
-    
-    const timer = setInterval(() => {
-      setRoundTimeLeft((prev) => {
-        if (prev <= 1) {
-          // The "round boundary" is here
-          // 1) Reset countdown
-          const nextRoundTime = 30;
-
-          // 2) Decrement roundsRemaining
-          setRoundsRemaining((r) => {
-            const newValue = r > 0 ? r - 1 : 0;
-            // End game when time runs out
-            if (newValue === 0 && gameState === "playing") {
-              finalizeGame();
-            }
-            return newValue;
-          });
-
-          // 3) Optionally update local price with Brownian motion
-          setCurrentPrice((old) => evolvePrice(old));
-
-          // 4) Emit roundUpdate so the server does its usual logic
-          if (roundsRemaining > 1) {
-            socket.emit("roundUpdate", userID);
-          }
-
-          return nextRoundTime; // resets the local timer
-        }
-        // Otherwise, just decrement by 1
-        return prev - 1;
-      });
-    }, 1000);
 
-    return () => clearInterval(timer);
-  }, [socket, userID, gameState, roundsRemaining, evolvePrice, finalizeGame]);
-
-  // --------------------------------------------
-  //  D) Game Control Functions
-  // --------------------------------------------
-  
   // Return to lobby function
   const returnToLobby = () => {
-    socket.emit("returnToLobby", userID, room);
+    socket.emit("returnToLobby");
   };
 
   // Calculate time remaining in minutes and seconds
   const timeRemaining = () => {
-    const totalSeconds = roundsRemaining * 30 - (30 - roundTimeLeft);
+    const totalSeconds = Math.max(0, roundsRemaining - 1) * round.roundSeconds + roundTimeLeft;
     const minutes = Math.floor(totalSeconds / 60);
     const seconds = totalSeconds % 60;
     return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
   };
 
   // --------------------------------------------
-  //  E) Display
+  //  D) Display
   // --------------------------------------------
   
   // If game has ended, show the scoreboard
@@ -164,7 +162,7 @@ export default function Admin({ userID, room }) {
         <Box mb={{ base: 6, md: 0 }}>
           <Text fontSize="xl" fontWeight="bold" mb={2} color="white">Overall Time Remaining</Text>
           <CircularProgress 
-            value={(roundsRemaining / 60) * 100} 
+            value={(roundsRemaining / round.totalRounds) * 100} 
             size="200px" 
             thickness="15px"
             color={roundsRemaining < 10 ? "red.400" : "blue.400"}
@@ -178,7 +176,7 @@ export default function Admin({ userID, room }) {
         <Box mb={{ base: 6, md: 0 }}>
           <Text fontSize="xl" fontWeight="bold" mb={2} color="white">Current Round</Text>
           <CircularProgress 
-            value={(roundTimeLeft / 30) * 100} 
+            value={(roundTimeLeft / round.roundSeconds) * 100} 
             size="200px" 
             thickness="15px"
             color={roundTimeLeft < 5 ? "orange.400" : "green.400"}
@@ -222,6 +220,20 @@ export default function Admin({ userID, room }) {
           End Game Now
         </Button>
       </Stack>
+
+      <Box mt={8}>
+        <MarketEvents />
+      </Box>
+
+      {leaderboard && (
+        <Box mt={8}>
+          <LiveLeaderboard leaderboard={leaderboard} />
+        </Box>
+      )}
+
+      <Box mt={8}>
+        <TradeBlotter entries={roomBlotter} instruments={instruments} roomView maxH="320px" />
+      </Box>
     </Box>
   );
 }
\ No newline at end of file
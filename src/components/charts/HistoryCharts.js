@@ -0,0 +1,36 @@
+import React from 'react';
+import { SimpleGrid } from '@chakra-ui/react';
+import LineChart from './LineChart';
+
+const INSTRUMENT_COLORS = ['#F6AD55', '#68D391', '#B794F4', '#F687B3', '#4FD1C5'];
+
+// Each instrument's price per closed round: the clearing price in rounds it was
+// traded on its own, or its mark after an order-book round. Rounds that traded
+// another instrument are skipped so its line runs on to its next round.
+function clearingSeries(rounds, instruments) {
+  return instruments.map((inst, i) => ({
+    name: inst.label,
+    color: INSTRUMENT_COLORS[i % INSTRUMENT_COLORS.length],
+    points: rounds
+      .filter((r) => !r.instrument || r.instrument === inst.id)
+      .map((r) => ({ x: r.round, y: r.instrument ? r.clearingPrice : (r.marks || {})[inst.id] })),
+  }));
+}
+
+// Portfolio value, option prices and the underlying over the game so far.
+// `portfolioHistory` holds the opening value then one value per closed round.
+export default function HistoryCharts({ portfolioHistory = [], priceHistory = [], rounds = [], instruments = [], columns = 1 }) {
+  return (
+    <SimpleGrid columns={columns} spacing={4}>
+      <LineChart
+        title="Portfolio Value"
+        series={[{ name: 'You', color: '#63B3ED', points: portfolioHistory.map((v, i) => ({ x: i, y: v })) }]}
+      />
+      <LineChart title="Option Clearing Prices" series={clearingSeries(rounds, instruments)} />
+      <LineChart
+        title="Stock Price"
+        series={[{ name: 'Stock', color: '#E2E8F0', points: priceHistory.map((p) => ({ x: p.round, y: p.price })) }]}
+      />
+    </SimpleGrid>
+  );
+}
@@ -0,0 +1,93 @@
+import React from 'react';
+import { Box, Flex, Text } from '@chakra-ui/react';
+
+const WIDTH = 600;
+const PAD = { top: 10, right: 10, bottom: 20, left: 50 };
+
+// Split points into runs without gaps, so a missing value (e.g. a round that
+// didn't clear) breaks the line instead of being drawn through
+function segments(points) {
+  const runs = [[]];
+  points.forEach((p) => {
+    if (p.y === null || p.y === undefined || !Number.isFinite(p.y)) {
+      if (runs[runs.length - 1].length) runs.push([]);
+    } else {
+      runs[runs.length - 1].push(p);
+    }
+  });
+  return runs.filter((run) => run.length);
+}
+
+// Plain SVG line chart. `series` is [{ name, color, points: [{ x, y }] }];
+// x is usually the round number.
+export default function LineChart({ title, series, height = 160, formatY = (v) => v.toFixed(2) }) {
+  const all = series.flatMap((s) => s.points).filter((p) => Number.isFinite(p.y));
+
+  if (all.length === 0) {
+    return (
+      <Box bg="gray.700" borderRadius="md" p={3} textAlign="left">
+        {title && <Text fontWeight="bold" color="white" mb={1}>{title}</Text>}
+        <Text fontSize="sm" color="gray.400">No data yet</Text>
+      </Box>
+    );
+  }
+
+  const xs = all.map((p) => p.x);
+  const ys = all.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  let minY = Math.min(...ys);
+  let maxY = Math.max(...ys);
+  if (minY === maxY) {
+    // flat line: give it some room so it sits mid-chart
+    minY -= 1;
+    maxY += 1;
+  }
+
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = height - PAD.top - PAD.bottom;
+  const sx = (x) => PAD.left + (maxX === minX ? plotW / 2 : ((x - minX) / (maxX - minX)) * plotW);
+  const sy = (y) => PAD.top + (1 - (y - minY) / (maxY - minY)) * plotH;
+
+  return (
+    <Box bg="gray.700" borderRadius="md" p={3} textAlign="left">
+      <Flex justify="space-between" align="baseline" mb={1} wrap="wrap">
+        {title && <Text fontWeight="bold" color="white">{title}</Text>}
+        <Flex gap={3}>
+          {series.map((s) => {
+            const last = [...s.points].reverse().find((p) => Number.isFinite(p.y));
+            return (
+              <Text key={s.name} fontSize="sm" color={s.color}>
+                {s.name}{last ? `: ${formatY(last.y)}` : ""}
+              </Text>
+            );
+          })}
+        </Flex>
+      </Flex>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} width="100%" role="img" aria-label={title}>
+        {/* y range and x range labels */}
+        <text x={PAD.left - 6} y={PAD.top + 4} fill="#A0AEC0" fontSize="11" textAnchor="end">{formatY(maxY)}</text>
+        <text x={PAD.left - 6} y={height - PAD.bottom} fill="#A0AEC0" fontSize="11" textAnchor="end">{formatY(minY)}</text>
+        <text x={PAD.left} y={height - 4} fill="#A0AEC0" fontSize="11">{minX}</text>
+        <text x={WIDTH - PAD.right} y={height - 4} fill="#A0AEC0" fontSize="11" textAnchor="end">{maxX}</text>
+        <line x1={PAD.left} y1={height - PAD.bottom} x2={WIDTH - PAD.right} y2={height - PAD.bottom} stroke="#4A5568" />
+
+        {series.map((s) =>
+          segments(s.points).map((run, i) =>
+            run.length === 1 ? (
+              <circle key={`${s.name}-${i}`} cx={sx(run[0].x)} cy={sy(run[0].y)} r="3" fill={s.color} />
+            ) : (
+              <polyline
+                key={`${s.name}-${i}`}
+                points={run.map((p) => `${sx(p.x)},${sy(p.y)}`).join(" ")}
+                fill="none"
+                stroke={s.color}
+                strokeWidth="2"
+              />
+            )
+          )
+        )}
+      </svg>
+    </Box>
+  );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+import { Box, Text } from '@chakra-ui/react';
+import { describeEvent } from '../../utils/marketEvents';
+
+// Market events announced so far, newest first
+export default function MarketNews({ events, maxItems = 3 }) {
+  if (!events.length) return null;
+
+  return (
+    <Box p={3} mb={6} bg="orange.900" borderRadius="md" textAlign="left">
+      <Text fontWeight="bold" color="orange.200" mb={1}>Market News</Text>
+      {[...events].reverse().slice(0, maxItems).map((event, i) => (
+        <Text key={events.length - i} fontSize={i === 0 ? 'md' : 'sm'} color={i === 0 ? 'white' : 'gray.300'}>
+          Round {event.round}: {describeEvent(event)}
+        </Text>
+      ))}
+    </Box>
+  );
+}
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Box,
+  Button,
+  ButtonGroup,
+  Flex,
+  Input,
+  Select,
+  SimpleGrid,
+  Table,
+  Tbody,
+  Td,
+  Text,
+  Th,
+  Thead,
+  Tr,
+} from '@chakra-ui/react';
+import toast from 'react-hot-toast';
+import SocketContext from "../../socket";
+import { validatePrice, validateSize } from "../../utils/validation";
+
+const EMPTY_BOOK = { bids: [], asks: [], bestBid: null, bestAsk: null, lastPrice: null };
+
+// Order-book mode: live depth per instrument, limit order entry and the player's resting orders
+export default function OrderBookPanel({ instruments, maxOrderSize, priceRules, isDisabled }) {
+  const socket = useContext(SocketContext);
+  const [books, setBooks] = useState({});   // instrumentID -> depth
+  const [selected, setSelected] = useState(instruments.length ? instruments[0].id : "");
+  const [myOrders, setMyOrders] = useState([]);
+  const [side, setSide] = useState("buy");
+  const [price, setPrice] = useState("");
+  const [qty, setQty] = useState("1");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    socket.on("bookUpdate", ({ instrument, ...depth }) => {
+      setBooks((prev) => ({ ...prev, [instrument]: depth }));
+    });
+    socket.on("myOrders", setMyOrders);
+    socket.on("orderAccepted", () => {
+      setPrice("");
+    });
+    socket.on("orderRejected", ({ reason }) => {
+      toast.error(reason);
+    });
+
+    socket.emit("getBook");
+
+    return () => {
+      socket.off("bookUpdate");
+      socket.off("myOrders");
+      socket.off("orderAccepted");
+      socket.off("orderRejected");
+    };
+  }, [socket]);
+
+  const validateOrder = (p, q) =>
+    validatePrice(p, "Price", priceRules) || validateSize(q, maxOrderSize, "Quantity");
+
+  const submitOrder = () => {
+    const err = validateOrder(price, qty);
+    if (err || price === "" || qty === "") {
+      setError(err || "Please enter a price and quantity");
+      return;
+    }
+
+    // The price is cleared once the server accepts the order
+    socket.emit("placeOrder", { instrument: selected, side, price: parseFloat(price), qty: parseInt(qty, 10) });
+    setError("");
+  };
+
+  const cancel = (order) => {
+    socket.emit("cancelOrder", order.id, order.instrument);
+  };
+
+  const book = books[selected] || EMPTY_BOOK;
+  const labelFor = (id) => (instruments.find((inst) => inst.id === id) || { label: id }).label;
+
+  // Asks shown worst-to-best above the bids so the spread sits in the middle
+  const ladder = [
+    ...[...book.asks].reverse().map((lvl) => ({ ...lvl, side: "ask" })),
+    ...book.bids.map((lvl) => ({ ...lvl, side: "bid" })),
+  ];
+
+  return (
+    <Box mb={6}>
+      {/* Instrument picker */}
+      {instruments.length > 1 && (
+        <Select
+          mb={3}
+          value={selected}
+          onChange={(e) => setSelected(e.target.value)}
+          bg="gray.700"
+          color="white"
+        >
+          {instruments.map((inst) => (
+            <option key={inst.id} value={inst.id} style={{ color: 'black' }}>
+              {inst.label}
+            </option>
+          ))}
+        </Select>
+      )}
+
+      {/* Top of book */}
+      <SimpleGrid columns={3} spacing={3} mb={3}>
+        <Box p={2} bg="gray.700" borderRadius="md">
+          <Text fontSize="sm" color="gray.300">Best Bid</Text>
+          <Text fontWeight="bold" color="green.300">{book.bestBid ?? "—"}</Text>
+        </Box>
+        <Box p={2} bg="gray.700" borderRadius="md">
+          <Text fontSize="sm" color="gray.300">Best Ask</Text>
+          <Text fontWeight="bold" color="red.300">{book.bestAsk ?? "—"}</Text>
+        </Box>
+        <Box p={2} bg="gray.700" borderRadius="md">
+          <Text fontSize="sm" color="gray.300">Last Trade</Text>
+          <Text fontWeight="bold" color="white">{book.lastPrice ?? "—"}</Text>
+        </Box>
+      </SimpleGrid>
+
+      {/* Depth ladder */}
+      <Box maxH="220px" overflowY="auto" bg="gray.700" borderRadius="md" mb={3}>
+        <Table size="sm" variant="unstyled">
+          <Thead>
+            <Tr>
+              <Th color="gray.300" isNumeric>Bid Qty</Th>
+              <Th color="gray.300" isNumeric>Price</Th>
+              <Th color="gray.300" isNumeric>Ask Qty</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {ladder.length === 0 && (
+              <Tr>
+                <Td colSpan={3} color="gray.400" textAlign="center">Book is empty</Td>
+              </Tr>
+            )}
+            {ladder.map((lvl) => (
+              <Tr key={`${lvl.side}-${lvl.price}`}>
+                <Td isNumeric color="green.300">{lvl.side === "bid" ? lvl.qty : ""}</Td>
+                <Td isNumeric color="white">{lvl.price}</Td>
+                <Td isNumeric color="red.300">{lvl.side === "ask" ? lvl.qty : ""}</Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      </Box>
+
+      {/* Order entry */}
+      <Flex mb={2}>
+        <ButtonGroup isAttached mr={3}>
+          <Button colorScheme={side === "buy" ? "green" : "gray"} onClick={() => setSide("buy")}>Buy</Button>
+          <Button colorScheme={side === "sell" ? "red" : "gray"} onClick={() => setSide("sell")}>Sell</Button>
+        </ButtonGroup>
+        <Input
+          placeholder="Price"
+          value={price}
+          onChange={(e) => { setPrice(e.target.value); setError(validateOrder(e.target.value, qty)); }}
+          mr={2}
+          bg="gray.700"
+          color="white"
+          _placeholder={{ color: "gray.300" }}
+        />
+        <Input
+          placeholder={`Qty (max ${maxOrderSize})`}
+          value={qty}
+          onChange={(e) => { setQty(e.target.value); setError(validateOrder(price, e.target.value)); }}
+          mr={2}
+          width="140px"
+          bg="gray.700"
+          color="white"
+          _placeholder={{ color: "gray.300" }}
+        />
+        <Button colorScheme="blue" onClick={submitOrder} isDisabled={isDisabled || error !== ""}>
+          Place
+        </Button>
+      </Flex>
+      {error && (
+        <Text color="red.300" fontSize="sm" mb={2}>
+          {error}
+        </Text>
+      )}
+
+      {/* Resting orders */}
+      {myOrders.length > 0 && (
+        <Box bg="gray.700" borderRadius="md" p={2}>
+          <Text fontSize="sm" color="gray.300" mb={1}>Your open orders</Text>
+          {myOrders.map((o) => (
+            <Flex key={`${o.instrument}-${o.id}`} justify="space-between" align="center" py={1}>
+              <Text color={o.side === "buy" ? "green.300" : "red.300"}>
+                {o.side.toUpperCase()} {o.remaining}/{o.qty} {labelFor(o.instrument)} @ ${o.price}
+              </Text>
+              <Button size="xs" colorScheme="red" variant="outline" onClick={() => cancel(o)}>
+                Cancel
+              </Button>
+            </Flex>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -11,10 +11,14 @@ import {
   StatArrow,
   Badge,
   Divider,
+  SimpleGrid,
   Stack
 } from '@chakra-ui/react';
+import { METRICS, metricFor } from "../../utils/metrics";
+import HistoryCharts from "../charts/HistoryCharts";
+import { describeSignal } from "../../utils/signals";
 
-const PlayerResults = ({ results, userID }) => {
+const PlayerResults = ({ results, userID, priceHistory = [], rounds = [] }) => {
   // If no results or user not found
   if (!results || !results[userID]) {
     return (
@@ -26,15 +30,16 @@ const PlayerResults = ({ results, userID }) => {
   
   // Get current player data
   const playerData = results[userID];
-  const pnl = playerData.finalCash - 100; // Assuming starting cash was 100
+  const pnl = playerData.pnl;
+  const edge = playerData.edge;
   
-  // Get all player data sorted by Sharpe ratio
-  const sortedPlayers = Object.entries(results).sort((a, b) => 
-    b[1].sharpe - a[1].sharpe
-  );
-  
-  // Find player rank
-  const playerRank = sortedPlayers.findIndex(([id]) => id === userID) + 1;
+  // Players in the server's ranking, on the metric the admin picked
+  const rankingMetric = metricFor(playerData.rankingMetric);
+  const sortedPlayers = Object.entries(results).sort((a, b) => a[1].rank - b[1].rank);
+  const playerRank = playerData.rank;
+
+  // Who traded with private information, for discussing adverse selection
+  const informedPlayers = sortedPlayers.filter(([, data]) => data.informed);
   
   return (
     <Box 
@@ -64,7 +69,9 @@ const PlayerResults = ({ results, userID }) => {
            playerRank === 3 ? '🥉 3rd Place!' :
            `${playerRank}${playerRank === 1 ? 'st' : playerRank === 2 ? 'nd' : playerRank === 3 ? 'rd' : 'th'} Place`}
         </Heading>
-        <Text mt={2} color="black">out of {sortedPlayers.length} players</Text>
+        <Text mt={2} color="black">
+          out of {sortedPlayers.length} players, ranked by {rankingMetric.label}
+        </Text>
       </Flex>
       
       <Divider my={4} />
@@ -81,22 +88,112 @@ const PlayerResults = ({ results, userID }) => {
           </Stat>
           
           <Stat>
-            <StatLabel color="black">Sharpe Ratio</StatLabel>
-            <StatNumber color="black">{playerData.sharpe.toFixed(2)}</StatNumber>
+            <StatLabel color="black">Edge Captured</StatLabel>
+            <StatNumber color={edge >= 0 ? "green.600" : "red.600"}>
+              {edge >= 0 ? '+' : ''}${edge.toFixed(2)}
+            </StatNumber>
             <StatHelpText color="black">
-              Risk-adjusted return
+              {playerData.fills.length} fills vs Black-Scholes value
             </StatHelpText>
           </Stat>
-          
+
           <Stat>
-            <StatLabel color="black">Final Position</StatLabel>
-            <StatNumber color="black">{playerData.calls} calls</StatNumber>
+            <StatLabel color="black">Final Stock Price</StatLabel>
+            <StatNumber color="black">${playerData.finalStockPrice.toFixed(2)}</StatNumber>
             <StatHelpText color="black">
-              Strike price: $100
+              Settles every instrument
             </StatHelpText>
           </Stat>
         </Flex>
+
+        {/* Every scoring metric, whichever one the room ranks by */}
+        <SimpleGrid columns={3} spacing={3}>
+          {METRICS.map((metric) => (
+            <Box
+              key={metric.key}
+              p={2}
+              borderRadius="md"
+              bg={metric.key === rankingMetric.key ? "blue.50" : "gray.50"}
+            >
+              <Text fontSize="sm" color="gray.600">{metric.label}</Text>
+              <Text fontWeight="bold" color="black">{metric.format(playerData[metric.key])}</Text>
+            </Box>
+          ))}
+        </SimpleGrid>
+
+        <Box>
+          <Heading size="sm" mb={3} color="black">Final Position</Heading>
+          {playerData.instruments.map((inst) => {
+            const qty = playerData.holdings[inst.id] || 0;
+            const value = playerData.settlement[inst.id];
+            return (
+              <Flex key={inst.id} justify="space-between" p={1}>
+                <Text color="black">{inst.label}</Text>
+                <Text color="black">
+                  {qty} × ${value.toFixed(2)} = ${(qty * value).toFixed(2)}
+                </Text>
+              </Flex>
+            );
+          })}
+        </Box>
+
+        {/* The whole game; the last portfolio point is the settlement value */}
+        <HistoryCharts
+          portfolioHistory={playerData.portfolioHistory}
+          priceHistory={priceHistory}
+          rounds={rounds}
+          instruments={playerData.instruments}
+        />
+
+        {playerData.mode === "two-sided" && (
+          <Flex justify="space-between">
+            <Stat>
+              <StatLabel color="black">Spread Captured</StatLabel>
+              <StatNumber color="black">${playerData.spreadCaptured.toFixed(2)}</StatNumber>
+              <StatHelpText color="black">
+                Edge vs your own quote mids
+              </StatHelpText>
+            </Stat>
+
+            <Stat>
+              <StatLabel color="black">Inventory Risk</StatLabel>
+              <StatNumber color="black">{playerData.maxInventory} max</StatNumber>
+              <StatHelpText color="black">
+                {playerData.avgInventory.toFixed(1)} contracts held on average
+              </StatHelpText>
+            </Stat>
+          </Flex>
+        )}
         
+        {informedPlayers.length > 0 && (
+          <Box>
+            <Heading size="sm" mb={1} color="black">Private Information</Heading>
+            <Text fontSize="sm" color="gray.600" mb={3}>
+              Final stock price ${playerData.finalStockPrice.toFixed(2)} · volatility {(playerData.volatility * 100).toFixed(1)}%
+            </Text>
+            {informedPlayers.map(([id, data]) => {
+              const last = data.signals[data.signals.length - 1];
+              return (
+                <Flex
+                  key={id}
+                  justify="space-between"
+                  p={2}
+                  borderRadius="md"
+                  bg={id === userID ? "yellow.100" : "transparent"}
+                >
+                  <Text color="black">
+                    {data.username} {id === userID ? "(You)" : ""} · {data.signals.length} signals
+                    {last ? `, last: ${describeSignal(last)}` : ""}
+                  </Text>
+                  <Text fontWeight="semibold" color={data.pnl >= 0 ? "green.600" : "red.600"}>
+                    {metricFor("pnl").format(data.pnl)}
+                  </Text>
+                </Flex>
+              );
+            })}
+          </Box>
+        )}
+
         <Divider />
         
         <Box>
@@ -122,7 +219,7 @@ const PlayerResults = ({ results, userID }) => {
                 </Text>
               </Flex>
               <Text fontWeight="semibold" color="black">
-                {data.sharpe.toFixed(2)}
+                {rankingMetric.format(data[rankingMetric.key])}
               </Text>
             </Flex>
           ))}
@@ -0,0 +1,19 @@
+import React from 'react';
+import { Box, Text } from '@chakra-ui/react';
+import { describeSignal } from '../../utils/signals';
+
+// Noisy private readings only this player received, newest first
+export default function PrivateSignals({ signals }) {
+  if (!signals.length) return null;
+
+  return (
+    <Box p={3} mb={6} bg="purple.900" borderRadius="md" textAlign="left">
+      <Text fontWeight="bold" color="purple.200" mb={1}>Private Signals (only you see these)</Text>
+      {[...signals].reverse().map((signal, i) => (
+        <Text key={signals.length - i} fontSize={i === 0 ? 'md' : 'sm'} color={i === 0 ? 'white' : 'gray.300'}>
+          Round {signal.round}: {describeSignal(signal)}
+        </Text>
+      ))}
+    </Box>
+  );
+}
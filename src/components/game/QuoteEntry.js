@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Button, Input, Text, Flex, SimpleGrid } from '@chakra-ui/react';
+import { validatePrice, validateSize } from "../../utils/validation";
+
+const EMPTY_QUOTE = { bidPrice: "", bidSize: "1", askPrice: "", askSize: "1" };
+
+// Bid/ask entry for two-sided quoting mode
+export default function QuoteEntry({ maxQuoteSize, priceRules, isDisabled, submitted, serverError, onSubmit }) {
+  const [quote, setQuote] = useState(EMPTY_QUOTE);
+  const [error, setError] = useState("");
+
+  // First problem with the quote, or "" if it can be sent
+  const validateQuote = (q) => {
+    const fieldError =
+      validatePrice(q.bidPrice, "Bid", priceRules) ||
+      validatePrice(q.askPrice, "Ask", priceRules) ||
+      validateSize(q.bidSize, maxQuoteSize, "Bid size") ||
+      validateSize(q.askSize, maxQuoteSize, "Ask size");
+    if (fieldError) return fieldError;
+
+    if (q.bidPrice !== "" && q.askPrice !== "" && parseFloat(q.bidPrice) >= parseFloat(q.askPrice)) {
+      return "Bid must be below ask";
+    }
+    return "";
+  };
+
+  const handleChange = (key) => (e) => {
+    const next = { ...quote, [key]: e.target.value };
+    setQuote(next);
+    setError(validateQuote(next));
+  };
+
+  const submitQuote = () => {
+    const err = validateQuote(quote);
+    if (err || Object.values(quote).some((v) => v === "")) {
+      setError(err || "Please fill in every field");
+      return;
+    }
+
+    onSubmit({
+      bidPrice: parseFloat(quote.bidPrice),
+      bidSize: parseInt(quote.bidSize, 10),
+      askPrice: parseFloat(quote.askPrice),
+      askSize: parseInt(quote.askSize, 10),
+    });
+    setError("");
+  };
+
+  const inputProps = {
+    size: "lg",
+    borderRadius: "md",
+    bg: "gray.700",
+    color: "white",
+    _placeholder: { color: "gray.300" },
+    isDisabled: submitted,
+  };
+
+  return (
+    <Flex direction="column" mb={6}>
+      <SimpleGrid columns={2} spacing={3} mb={3}>
+        <Input placeholder="Bid price" value={quote.bidPrice} onChange={handleChange("bidPrice")} {...inputProps} />
+        <Input placeholder="Ask price" value={quote.askPrice} onChange={handleChange("askPrice")} {...inputProps} />
+        <Input placeholder={`Bid size (max ${maxQuoteSize})`} value={quote.bidSize} onChange={handleChange("bidSize")} {...inputProps} />
+        <Input placeholder={`Ask size (max ${maxQuoteSize})`} value={quote.askSize} onChange={handleChange("askSize")} {...inputProps} />
+      </SimpleGrid>
+      <Button
+        onClick={submitQuote}
+        colorScheme="blue"
+        size="lg"
+        isDisabled={isDisabled || error !== "" || submitted}
+      >
+        Submit Quote
+      </Button>
+
+      {/* Error or status message */}
+      {(error || serverError) && !submitted && (
+        <Text color="red.300" fontSize="sm" mt={2}>
+          {error || serverError}
+        </Text>
+      )}
+      {submitted && (
+        <Text color="green.300" fontSize="sm" mt={2}>
+          Quote submitted for this round
+        </Text>
+      )}
+    </Flex>
+  );
+}
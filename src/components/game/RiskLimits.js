@@ -0,0 +1,46 @@
+import React from 'react';
+import { Box, Flex, Progress, Text } from '@chakra-ui/react';
+
+const fmt = (value) => `$${value.toFixed(2)}`;
+
+// Free cash above the room's minimum and short margin, and how much of each
+// instrument's long or short limit the player is using
+export default function RiskLimits({ risk, holdings, instruments }) {
+  const open = instruments.filter((inst) => holdings[inst.id]);
+
+  return (
+    <Box p={3} bg="gray.600" borderRadius="md" mb={2}>
+      <Flex justify="space-between" mb={open.length ? 2 : 0}>
+        <Text color="gray.300">Free Cash</Text>
+        <Text fontWeight="bold" color={risk.excessCash < 0 ? "red.300" : "white"}>
+          {fmt(risk.excessCash)}
+        </Text>
+      </Flex>
+      <Text fontSize="xs" color="gray.400" mb={open.length ? 2 : 0}>
+        Margin held on shorts {fmt(risk.margin)} · minimum cash {fmt(risk.minCash)}
+      </Text>
+
+      {open.map((inst) => {
+        const qty = holdings[inst.id];
+        const limit = qty > 0 ? risk.maxLong : risk.maxShort;
+        const used = limit > 0 ? (Math.abs(qty) / limit) * 100 : 100;
+        return (
+          <Box key={inst.id} mb={1}>
+            <Flex justify="space-between">
+              <Text fontSize="sm" color="gray.300">{inst.label}</Text>
+              <Text fontSize="sm" color="gray.300">
+                {Math.abs(qty)} / {limit} {qty > 0 ? "long" : "short"}
+              </Text>
+            </Flex>
+            <Progress
+              value={used}
+              size="xs"
+              borderRadius="sm"
+              colorScheme={used >= 80 ? "red" : used >= 50 ? "orange" : "green"}
+            />
+          </Box>
+        );
+      })}
+    </Box>
+  );
+}
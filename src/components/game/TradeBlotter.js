@@ -0,0 +1,60 @@
+import React from 'react';
+import { Box, Table, Tbody, Td, Text, Th, Thead, Tr } from '@chakra-ui/react';
+
+const fmt = (value) => (value === null || value === undefined ? "—" : `$${value.toFixed(2)}`);
+
+// Scrollable list of ledger entries, newest first. The admin's room blotter
+// also shows who traded and each fill's edge against theo.
+export default function TradeBlotter({ entries, instruments = [], roomView = false, maxH = "240px" }) {
+  const labelFor = (id) => (instruments.find((inst) => inst.id === id) || { label: id }).label;
+  const rows = [...entries].reverse();
+
+  return (
+    <Box bg="gray.700" borderRadius="md" p={3} textAlign="left">
+      <Text fontWeight="bold" color="white" mb={2}>
+        {roomView ? "Room Blotter" : "Your Trades"}
+      </Text>
+      <Box maxH={maxH} overflowY="auto">
+        <Table size="sm" variant="unstyled">
+          <Thead>
+            <Tr>
+              <Th color="gray.300">Rnd</Th>
+              {roomView && <Th color="gray.300">Player</Th>}
+              <Th color="gray.300">Side</Th>
+              <Th color="gray.300">Instrument</Th>
+              <Th color="gray.300" isNumeric>Qty</Th>
+              <Th color="gray.300" isNumeric>Price</Th>
+              <Th color="gray.300" isNumeric>Mark</Th>
+              {roomView && <Th color="gray.300" isNumeric>Edge</Th>}
+              <Th color="gray.300" isNumeric>Cash</Th>
+              <Th color="gray.300" isNumeric>Pos</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {rows.length === 0 && (
+              <Tr>
+                <Td colSpan={roomView ? 10 : 8} color="gray.400" textAlign="center">No trades yet</Td>
+              </Tr>
+            )}
+            {rows.map((entry, index) => (
+              <Tr key={rows.length - index}>
+                <Td color="white">{entry.round}</Td>
+                {roomView && <Td color="white">{entry.username}</Td>}
+                <Td color={entry.side === "buy" ? "green.300" : "red.300"}>{entry.side.toUpperCase()}</Td>
+                <Td color="white">{labelFor(entry.instrument)}</Td>
+                <Td color="white" isNumeric>{entry.qty}</Td>
+                <Td color="white" isNumeric>{fmt(entry.price)}</Td>
+                <Td color="white" isNumeric>{fmt(entry.marketPrice)}</Td>
+                {roomView && (
+                  <Td color={entry.edge >= 0 ? "green.300" : "red.300"} isNumeric>{fmt(entry.edge)}</Td>
+                )}
+                <Td color="white" isNumeric>{fmt(entry.cash)}</Td>
+                <Td color="white" isNumeric>{entry.position}</Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      </Box>
+    </Box>
+  );
+}
@@ -2,39 +2,65 @@ import React, { useState, useEffect, useContext } from 'react';
 import { Button, Input, Text, Box, Flex } from '@chakra-ui/react';
 import SocketContext from "../../socket";
 import PlayerResults from "./PlayerResults";
+import QuoteEntry from "./QuoteEntry";
+import OrderBookPanel from "./OrderBookPanel";
+import TradeBlotter from "./TradeBlotter";
+import RiskLimits from "./RiskLimits";
+import HistoryCharts from "../charts/HistoryCharts";
+import MarketNews from "./MarketNews";
+import PrivateSignals from "./PrivateSignals";
+import useCountdown, { clockOffset } from "../../utils/useCountdown";
+import { metricFor } from "../../utils/metrics";
+import { validatePrice } from "../../utils/validation";
+
+// Instructions shown for the current round
+function promptMessage(promptType, instrument) {
+  if (promptType === "order-book") {
+    return "Trade any listed instrument with other players on the order book.";
+  } else if (promptType === "two-sided") {
+    return `Make a market in the ${instrument.label}. Enter your BID and ASK.`;
+  } else if (promptType === "sell-call") {
+    return `Computer is SELLING the ${instrument.label}. Enter your BUY price.`;
+  }
+  return `Computer is BUYING the ${instrument.label}. Enter your SELL price.`;
+}
 
 export default function Game({ userID }) {
   const [roundPrompt, setRoundPrompt] = useState("");
   const [bidPrice, setBidPrice] = useState("");
   const [bidError, setBidError] = useState("");
-  const [portfolio, setPortfolio] = useState({ cash: 100, calls: 0 });
+  const [portfolio, setPortfolio] = useState({ cash: 100, holdings: {} });
   const [tradeMsg, setTradeMsg] = useState("");
-  const [marketPrice, setMarketPrice] = useState(0); 
-  const [sharpe, setSharpe] = useState(0);
+  const [marketPrices, setMarketPrices] = useState({});
+  const [portfolioValue, setPortfolioValue] = useState(100);
+  const [instruments, setInstruments] = useState([]);
+  const [scores, setScores] = useState(null); // every scoring metric so far
+  const [rankingMetric, setRankingMetric] = useState("sharpe"); // what the room ranks by
   const [gameEnded, setGameEnded] = useState(false);
   const [results, setResults] = useState(null);
   const [bidSubmitted, setBidSubmitted] = useState(false);
+  const [pending, setPending] = useState(false); // sent, waiting for the server's ack
+  const [quoteError, setQuoteError] = useState("");
   const [roundNumber, setRoundNumber] = useState(0);
+  const [stockPrice, setStockPrice] = useState(null);
+  const [roundDeadline, setRoundDeadline] = useState(null);
+  const [serverOffset, setServerOffset] = useState(0);
+  const [roundOpen, setRoundOpen] = useState(false);
+  const [mode, setMode] = useState("single");
+  const [maxQuoteSize, setMaxQuoteSize] = useState(1);
+  const [blotter, setBlotter] = useState([]);
+  const [hostAway, setHostAway] = useState(false);
+  const [priceRules, setPriceRules] = useState(null);
+  const [myRank, setMyRank] = useState(null); // our place on the live leaderboard, if the room shows it
+  const [priceHistory, setPriceHistory] = useState([]); // [{ round, price }] underlying path
+  const [rounds, setRounds] = useState([]); // closed rounds' summaries, for the charts
+  const [events, setEvents] = useState([]); // market events the admin has announced
+  const [signals, setSignals] = useState([]); // private signals sent to us alone
 
   const socket = useContext(SocketContext);
 
-  // Validate bid format: must be a number with at most one decimal place
-  const validateBid = (value) => {
-    // Empty input is valid (but won't submit)
-    if (value === "") return "";
-    
-    // Check if it's a valid number format
-    if (!/^-?\d*\.?\d*$/.test(value)) {
-      return "Bid must be a number";
-    }
-    
-    // If there's a decimal point, ensure there's only one digit after it
-    if (value.includes('.') && value.split('.')[1].length > 1) {
-      return "Bid can only have one decimal place";
-    }
-    
-    return ""; // Empty string means valid
-  };
+  // Validate bid format against the room's price range and tick size
+  const validateBid = (value) => validatePrice(value, "Bid", priceRules);
 
   // Handle bid input change
   const handleBidChange = (e) => {
@@ -49,17 +75,22 @@ export default function Game({ userID }) {
   useEffect(() => {
     console.log("Game.js mounted for userID=", userID, "on socket.id=", socket.id);
 
-    socket.on("newTradePrompt", ({ promptType, round }) => {
-      console.log("CLIENT GOT newTradePrompt", promptType, round);
-      let message = "";
-      if (promptType === "sell-call") {
-        message = "Computer is SELLING call at strike 100. Enter your BUY price.";
-      } else {
-        message = "Computer is BUYING call at strike 100. Enter your SELL price.";
-      }
-      setRoundPrompt(message);
+    socket.on("roundStarted", (payload) => {
+      const { promptType, round, deadline, serverTime, instrument } = payload;
+      console.log("CLIENT GOT roundStarted", promptType, round);
+      setRoundPrompt(promptMessage(promptType, instrument));
       setRoundNumber(round);
+      setRoundDeadline(deadline);
+      setServerOffset(clockOffset(serverTime));
+      setRoundOpen(true);
+      setMode(payload.mode);
+      setMaxQuoteSize(payload.maxQuoteSize);
+      setInstruments(payload.instruments);
+      setPriceRules(payload.priceRules);
+      setRankingMetric(payload.rankingMetric);
       setBidSubmitted(false); // Reset bid submitted state for new round
+      setPending(false);
+      setQuoteError("");
       
       // Clear any previous trade messages after a delay
       setTimeout(() => {
@@ -67,25 +98,159 @@ export default function Game({ userID }) {
       }, 10000);
     });
 
+    socket.on("roundClosed", (summary) => {
+      setRoundOpen(false);
+      setRounds((prev) => [...prev, summary]);
+    });
+
+    // Host dropped: the round clock stops until they're back
+    const onHostAway = () => setHostAway(true);
+    const onHostBack = () => setHostAway(false);
+    socket.on("hostReconnecting", onHostAway);
+    socket.on("hostReturned", onHostBack);
+
+    socket.on("roundResumed", ({ deadline, serverTime }) => {
+      setRoundDeadline(deadline);
+      setServerOffset(clockOffset(serverTime));
+    });
+
+    socket.on("marketEvent", (event) => {
+      setEvents((prev) => [...prev, event]);
+    });
+
+    socket.on("privateSignal", (signal) => {
+      setSignals((prev) => [...prev, signal]);
+    });
+
+    socket.on("priceUpdate", ({ round, price }) => {
+      setStockPrice(price);
+      // one price per round: a mid-round jump replaces the round's price
+      setPriceHistory((prev) => [...prev.filter((p) => p.round !== round), { round, price }]);
+    });
+
+    // Our position with its marks, value and scores
+    const applyPosition = (pos) => {
+      setPortfolio(pos);
+      if (pos.marketPrices !== undefined) {
+        setMarketPrices(pos.marketPrices);
+      }
+      if (pos.portfolioValue !== undefined) {
+        setPortfolioValue(pos.portfolioValue);
+      }
+      if (pos.scores !== undefined) {
+        setScores(pos.scores);
+      }
+    };
+
+    // Full game state after a refresh or reconnect
+    socket.on("stateSnapshot", (snap) => {
+      setPriceHistory(snap.priceHistory);
+      setRounds(snap.rounds);
+      setEvents(snap.events);
+      setSignals(snap.signals);
+      if (snap.gameOver) {
+        setResults(snap.results);
+        setGameEnded(true);
+        return;
+      }
+
+      setRoundPrompt(promptMessage(snap.promptType, snap.instrument));
+      setRoundNumber(snap.round);
+      setRoundOpen(snap.roundOpen);
+      setRoundDeadline(snap.serverTime + snap.timeRemaining);
+      setServerOffset(clockOffset(snap.serverTime));
+      setHostAway(snap.hostAway);
+      setMode(snap.mode);
+      setMaxQuoteSize(snap.maxQuoteSize);
+      setInstruments(snap.instruments);
+      setPriceRules(snap.priceRules);
+      setRankingMetric(snap.rankingMetric);
+      setStockPrice(snap.price);
+      setBlotter(snap.blotter);
+      setMyRank(snap.myRank);
+      if (snap.position) {
+        applyPosition(snap.position);
+      }
+
+      // Keep this round's submission locked in if we already sent one
+      const submitted = snap.myBid !== null || snap.myQuote !== null;
+      setBidSubmitted(submitted);
+      if (snap.myBid !== null) {
+        setTradeMsg(`Bid of $${snap.myBid} submitted for round ${snap.round}`);
+      } else if (snap.myQuote !== null) {
+        const q = snap.myQuote;
+        setTradeMsg(`Quote ${q.bidSize} @ $${q.bidPrice} / ${q.askSize} @ $${q.askPrice} submitted for round ${snap.round}`);
+      }
+    });
+
+    socket.emit("syncGame");
+
+    // The server's answer to our bid or quote; only an ack locks in this round's submission
+    socket.on("bidAccepted", ({ round, price }) => {
+      setPending(false);
+      setBidSubmitted(true);
+      setBidPrice("");
+      setBidError("");
+      setTradeMsg(`Bid of $${price} submitted for round ${round}`);
+    });
+    socket.on("bidRejected", ({ reason }) => {
+      setPending(false);
+      setBidError(reason);
+    });
+    socket.on("quoteAccepted", (q) => {
+      setPending(false);
+      setBidSubmitted(true);
+      setQuoteError("");
+      setTradeMsg(`Quote ${q.bidSize} @ $${q.bidPrice} / ${q.askSize} @ $${q.askPrice} submitted for round ${q.round}`);
+    });
+    socket.on("quoteRejected", ({ reason }) => {
+      setPending(false);
+      setQuoteError(reason);
+    });
+
     socket.on("tradeResults", (results) => {
-      if (results[userID]) {
-        const { price } = results[userID];
-        setTradeMsg(`Your trade was executed at $${price}`);
+      const mine = results[userID];
+      if (mine && mine.bought !== undefined) {
+        // two-sided quote fill
+        const parts = [];
+        if (mine.bought) parts.push(`bought ${mine.bought} at $${mine.bidPrice}`);
+        if (mine.sold) parts.push(`sold ${mine.sold} at $${mine.askPrice}`);
+        const msg = parts.length ? `You ${parts.join(" and ")}.` : "Your quote was not hit this round.";
+        setTradeMsg(mine.rejected ? `${msg} Rejected over your limits: ${mine.rejected}` : msg);
       } else {
-        setTradeMsg("No trade executed this round.");
+        // single mode: say what the computer's hidden price was, if the room uses one
+        const reservation = mine && mine.reservationPrice !== undefined
+          ? ` The computer's reservation price was $${mine.reservationPrice.toFixed(2)}.`
+          : "";
+        if (mine && mine.rejected) {
+          setTradeMsg(`Your trade was rejected: ${mine.rejected}.${reservation}`);
+        } else if (mine && mine.executed) {
+          const qty = mine.qty > 1 ? ` for ${mine.qty} contracts` : "";
+          setTradeMsg(`Your trade was executed${qty} at $${mine.price}.${reservation}`);
+        } else {
+          setTradeMsg(`No trade executed this round.${reservation}`);
+        }
       }
     });
 
+    // Order-book mode: our resting or incoming order traded
+    socket.on("orderFilled", ({ side, instrument, price, qty }) => {
+      setTradeMsg(`You ${side === "buy" ? "bought" : "sold"} ${qty} ${instrument} at $${price}`);
+    });
+
+    // Margin call: the server closed out every position at its mark
+    socket.on("positionLiquidated", ({ reason, fills }) => {
+      setTradeMsg(`${reason}. ${fills.length} position${fills.length === 1 ? " was" : "s were"} closed at market.`);
+    });
+
+    socket.on("leaderboardRank", setMyRank);
+
+    // Our own fills so far, from the room's trade ledger
+    socket.on("blotter", setBlotter);
+
     socket.on("positionsUpdated", (pos) => {
       if (pos[userID]) {
-        setPortfolio(pos[userID]);
-
-        if (pos[userID].marketPrice !== undefined) {
-          setMarketPrice(pos[userID].marketPrice);
-        }
-        if (pos[userID].sharpe !== undefined) {
-          setSharpe(pos[userID].sharpe);
-        }
+        applyPosition(pos[userID]);
       }
     });
 
@@ -105,8 +270,24 @@ export default function Game({ userID }) {
 
     return () => {
       console.log("Game.js unmounting for socket.id=", socket.id);
-      socket.off("newTradePrompt");
+      socket.off("roundStarted");
+      socket.off("roundClosed");
+      socket.off("hostReconnecting", onHostAway); // App.js listens to these too
+      socket.off("hostReturned", onHostBack);
+      socket.off("roundResumed");
+      socket.off("stateSnapshot");
+      socket.off("bidAccepted");
+      socket.off("bidRejected");
+      socket.off("quoteAccepted");
+      socket.off("quoteRejected");
+      socket.off("priceUpdate");
+      socket.off("marketEvent");
+      socket.off("privateSignal");
       socket.off("tradeResults");
+      socket.off("orderFilled");
+      socket.off("positionLiquidated");
+      socket.off("blotter");
+      socket.off("leaderboardRank");
       socket.off("positionsUpdated");
       socket.off("finalResults");
       socket.off("gameOver");
@@ -114,6 +295,9 @@ export default function Game({ userID }) {
     };
   }, [userID, socket]);
 
+  const roundTimeLeft = useCountdown(roundDeadline, serverOffset);
+  const metric = metricFor(rankingMetric);
+
   // Submit bid with validation
   const submitBid = () => {
     // Final validation before submission
@@ -126,19 +310,22 @@ export default function Game({ userID }) {
     
     const px = parseFloat(bidPrice);
     if (!isNaN(px)) {
-      socket.emit("submitBid", px, userID);
-      setBidPrice("");
-      setBidError("");
-      setBidSubmitted(true); // Mark that the player has submitted a bid this round
-      
-      // Show confirmation message
-      setTradeMsg(`Bid of $${px} submitted for round ${roundNumber}`);
+      // Locked in once the server acks with bidAccepted
+      socket.emit("submitBid", px);
+      setPending(true);
     }
   };
 
+  // Submit a two-sided quote (already validated by QuoteEntry)
+  const submitQuote = (quote) => {
+    socket.emit("submitQuote", quote);
+    setPending(true);
+    setQuoteError("");
+  };
+
   // If game has ended, show the results component
   if (gameEnded && results) {
-    return <PlayerResults results={results} userID={userID} />;
+    return <PlayerResults results={results} userID={userID} priceHistory={priceHistory} rounds={rounds} />;
   }
 
   // Otherwise show the game interface
@@ -158,48 +345,82 @@ export default function Game({ userID }) {
         {roundNumber > 0 && (
           <Text fontSize="sm" color="gray.300" mt={2}>
             Round {roundNumber}
+            {hostAway ? " · paused, host reconnecting..." : roundOpen ? ` · ${roundTimeLeft}s left` : " · closed"}
           </Text>
         )}
-      </Box>
-
-      {/* Bid input */}
-      <Flex direction="column" mb={6}>
-        <Flex>
-          <Input
-            placeholder="Your bid price"
-            value={bidPrice}
-            onChange={handleBidChange}
-            size="lg"
-            mr={3}
-            borderRadius="md"
-            bg="gray.700"
-            color="white"
-            _placeholder={{ color: "gray.300" }}
-            isInvalid={bidError !== ""}
-            isDisabled={bidSubmitted}
-          />
-          <Button 
-            onClick={submitBid} 
-            colorScheme="blue" 
-            size="lg"
-            isDisabled={!roundPrompt || bidError !== "" || bidSubmitted}
-          >
-            Submit Bid
-          </Button>
-        </Flex>
-        
-        {/* Error or status message */}
-        {bidError && !bidSubmitted && (
-          <Text color="red.300" fontSize="sm" mt={2}>
-            {bidError}
+        {stockPrice !== null && (
+          <Text fontSize="sm" color="gray.300">
+            Stock price: ${stockPrice.toFixed(2)}
           </Text>
         )}
-        {bidSubmitted && (
-          <Text color="green.300" fontSize="sm" mt={2}>
-            Bid submitted for this round
+        {myRank && (
+          <Text fontSize="sm" color="yellow.300">
+            Rank {myRank.rank} of {myRank.of} by {metricFor(myRank.metric).label}
+            {myRank.of > 1 && ` · ahead of ${myRank.percentile}% of players`}
           </Text>
         )}
-      </Flex>
+      </Box>
+
+      <MarketNews events={events} />
+      <PrivateSignals signals={signals} />
+
+      {/* Bid, quote or order input */}
+      {mode === "order-book" ? (
+        <OrderBookPanel
+          instruments={instruments}
+          maxOrderSize={maxQuoteSize}
+          priceRules={priceRules}
+          isDisabled={!roundPrompt || !roundOpen}
+        />
+      ) : mode === "two-sided" ? (
+        <QuoteEntry
+          maxQuoteSize={maxQuoteSize}
+          priceRules={priceRules}
+          isDisabled={!roundPrompt || !roundOpen || pending}
+          submitted={bidSubmitted}
+          serverError={quoteError}
+          onSubmit={submitQuote}
+        />
+      ) : (
+        <Flex direction="column" mb={6}>
+          <Flex>
+            <Input
+              placeholder="Your bid price"
+              value={bidPrice}
+              onChange={handleBidChange}
+              size="lg"
+              mr={3}
+              borderRadius="md"
+              bg="gray.700"
+              color="white"
+              _placeholder={{ color: "gray.300" }}
+              isInvalid={bidError !== ""}
+              isDisabled={bidSubmitted}
+            />
+            <Button 
+              onClick={submitBid} 
+              colorScheme="blue" 
+              size="lg"
+              isDisabled={!roundPrompt || !roundOpen || bidError !== "" || bidSubmitted}
+              isLoading={pending}
+            >
+              Submit Bid
+            </Button>
+          </Flex>
+        
+          {/* Error or status message */}
+          {bidError && !bidSubmitted && (
+            <Text color="red.300" fontSize="sm" mt={2}>
+              {bidError}
+            </Text>
+          )}
+          {bidSubmitted && (
+            <Text color="green.300" fontSize="sm" mt={2}>
+              Bid submitted for this round
+            </Text>
+          )}
+        </Flex>
+      )}
 
       {/* Trade message */}
       {tradeMsg && (
@@ -233,32 +454,59 @@ export default function Game({ userID }) {
             </Text>
           </Box>
           
-          <Box p={3} bg="gray.600" borderRadius="md" mb={3} flex="1">
-            <Text color="gray.300">Calls</Text>
-            <Text fontSize="2xl" fontWeight="bold" color="white">
-              {portfolio.calls}
-            </Text>
-          </Box>
-          
           <Box p={3} bg="gray.600" borderRadius="md" mb={3} flex="1" mr={3}>
-            <Text color="gray.300">Market Price</Text>
+            <Text color="gray.300">Portfolio Value</Text>
             <Text fontSize="2xl" fontWeight="bold" color="white">
-              ${marketPrice.toFixed(2)}
+              ${portfolioValue.toFixed(2)}
             </Text>
           </Box>
           
           <Box p={3} bg="blue.700" borderRadius="md" mb={3} flex="1">
-            <Text color="blue.200">Sharpe Ratio</Text>
+            <Text color="blue.200">{metric.label}</Text>
             <Text fontSize="2xl" fontWeight="bold" color="white">
-              {sharpe.toFixed(2)}
+              {scores ? metric.format(scores[metric.key]) : "—"}
             </Text>
           </Box>
         </Flex>
+
+        {/* Holdings in every listed instrument, marked to market */}
+        {instruments.map((inst) => {
+          const qty = (portfolio.holdings || {})[inst.id] || 0;
+          const mark = marketPrices[inst.id];
+          return (
+            <Flex key={inst.id} justify="space-between" p={2} bg="gray.600" borderRadius="md" mb={2}>
+              <Text color="gray.300">{inst.label}</Text>
+              <Text fontWeight="bold" color={qty > 0 ? "green.300" : qty < 0 ? "red.300" : "white"}>
+                {qty} @ {mark !== undefined ? `$${mark.toFixed(2)}` : "—"}
+              </Text>
+            </Flex>
+          );
+        })}
+        
+        {/* How close we are to the room's position and margin limits */}
+        {portfolio.risk && (
+          <RiskLimits risk={portfolio.risk} holdings={portfolio.holdings || {}} instruments={instruments} />
+        )}
         
         <Text fontSize="sm" color="gray.300" mt={4}>
-          Remember: Higher Sharpe ratio means better risk-adjusted returns. Your goal is to maximize it!
+          {metric.hint} Players are ranked by {metric.label}, so your goal is to {metric.higherIsBetter ? "maximize" : "minimize"} it!
         </Text>
       </Box>
+
+      {/* Portfolio and prices round by round */}
+      <Box mt={6}>
+        <HistoryCharts
+          portfolioHistory={portfolio.portfolioHistory}
+          priceHistory={priceHistory}
+          rounds={rounds}
+          instruments={instruments}
+        />
+      </Box>
+
+      {/* Every fill so far */}
+      <Box mt={6}>
+        <TradeBlotter entries={blotter} instruments={instruments} />
+      </Box>
     </Box>
   );
 }
\ No newline at end of file
@@ -0,0 +1,239 @@
+import React, { useEffect, useState, useContext } from "react";
+import { Box, Button, Flex, Heading, SimpleGrid, Table, Tbody, Td, Text, Th, Thead, Tr } from "@chakra-ui/react";
+import SocketContext from "../../socket";
+import LineChart from "../charts/LineChart";
+import LiveLeaderboard from "../admin/LiveLeaderboard";
+import MarketNews from "../game/MarketNews";
+import useCountdown, { clockOffset } from "../../utils/useCountdown";
+
+const EMPTY_ROUND = { round: 0, totalRounds: 0, roundSeconds: 0, deadline: null, offset: 0 };
+
+// Final standings in the same shape as the live leaderboard
+function finalBoard(results) {
+  const players = Object.values(results || {});
+  if (!players.length) return null;
+  return {
+    final: true,
+    metric: players[0].rankingMetric,
+    entries: players
+      .map((r) => ({ rank: r.rank, name: r.username, value: r[r.rankingMetric], pnl: r.pnl }))
+      .sort((a, b) => a.rank - b.rank),
+  };
+}
+
+// Read-only view of a room for TAs and the classroom projector: round clock,
+// the underlying's path, each round's clearing price and fills, and the leaderboard
+export default function Spectator({ room, onLeave }) {
+  const socket = useContext(SocketContext);
+
+  const [started, setStarted] = useState(false);
+  const [round, setRound] = useState(EMPTY_ROUND);
+  const [roundOpen, setRoundOpen] = useState(false);
+  const [hostAway, setHostAway] = useState(false);
+  const [instruments, setInstruments] = useState([]);
+  const [priceHistory, setPriceHistory] = useState([]);
+  const [rounds, setRounds] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    // Back to the waiting screen between games
+    const reset = () => {
+      setStarted(false);
+      setRound(EMPTY_ROUND);
+      setRoundOpen(false);
+      setPriceHistory([]);
+      setRounds([]);
+      setEvents([]);
+      setLeaderboard(null);
+      setResults(null);
+    };
+
+    const onGameStarted = () => {
+      reset();
+      setStarted(true);
+    };
+    socket.on("gameStartedPlayer", onGameStarted);
+
+    socket.on("roundStarted", (payload) => {
+      setRound({
+        round: payload.round,
+        totalRounds: payload.totalRounds,
+        roundSeconds: payload.roundSeconds,
+        deadline: payload.deadline,
+        offset: clockOffset(payload.serverTime),
+      });
+      setInstruments(payload.instruments);
+      setRoundOpen(true);
+    });
+
+    socket.on("roundResumed", ({ deadline, serverTime }) => {
+      setRound((prev) => ({ ...prev, deadline, offset: clockOffset(serverTime) }));
+    });
+
+    socket.on("roundClosed", (summary) => {
+      setRoundOpen(false);
+      setRounds((prev) => [...prev, summary]);
+    });
+
+    socket.on("priceUpdate", ({ round: r, price }) => {
+      // one price per round: a mid-round jump replaces the round's price
+      setPriceHistory((prev) => [...prev.filter((p) => p.round !== r), { round: r, price }]);
+    });
+
+    socket.on("marketEvent", (event) => {
+      setEvents((prev) => [...prev, event]);
+    });
+
+    socket.on("leaderboard", setLeaderboard);
+
+    const onHostAway = () => setHostAway(true);
+    const onHostBack = () => setHostAway(false);
+    socket.on("hostReconnecting", onHostAway);
+    socket.on("hostReturned", onHostBack);
+
+    socket.on("finalResults", setResults);
+
+    socket.on("returnToLobby", reset);
+
+    // Full game state when we join mid-game or reconnect
+    socket.on("stateSnapshot", (snap) => {
+      setStarted(true);
+      setRound({
+        round: snap.round,
+        totalRounds: snap.totalRounds,
+        roundSeconds: snap.roundSeconds,
+        deadline: snap.serverTime + snap.timeRemaining,
+        offset: clockOffset(snap.serverTime),
+      });
+      setRoundOpen(snap.roundOpen);
+      setHostAway(snap.hostAway);
+      setInstruments(snap.instruments);
+      setPriceHistory(snap.priceHistory);
+      setRounds(snap.rounds);
+      setEvents(snap.events);
+      setLeaderboard(snap.leaderboard);
+      setResults(snap.gameOver ? snap.results : null);
+    });
+
+    socket.emit("syncGame");
+
+    return () => {
+      socket.off("gameStartedPlayer", onGameStarted); // App.js listens to this too
+      socket.off("roundStarted");
+      socket.off("roundResumed");
+      socket.off("roundClosed");
+      socket.off("priceUpdate");
+      socket.off("marketEvent");
+      socket.off("leaderboard");
+      socket.off("hostReconnecting", onHostAway); // App.js listens to these too
+      socket.off("hostReturned", onHostBack);
+      socket.off("finalResults");
+      socket.off("returnToLobby", reset);
+      socket.off("stateSnapshot");
+    };
+  }, [socket]);
+
+  const roundTimeLeft = useCountdown(round.deadline, round.offset);
+
+  const leave = () => {
+    socket.emit("leave-spectator");
+    onLeave();
+  };
+
+  const labelFor = (id) => (instruments.find((inst) => inst.id === id) || { label: id }).label;
+  const lastPrice = priceHistory.length ? priceHistory[priceHistory.length - 1].price : null;
+  const board = results ? finalBoard(results) : leaderboard;
+
+  return (
+    <Box p={6} w="100%" maxW="1100px" mx="auto" bg="gray.800" borderRadius="xl" color="white">
+      <Flex justify="space-between" align="center" mb={6}>
+        <Heading size="lg" color="white">Watching Room: {room}</Heading>
+        <Button size="sm" variant="outline" colorScheme="gray" color="white" onClick={leave}>
+          Stop Watching
+        </Button>
+      </Flex>
+
+      {!started ? (
+        <Text fontSize="2xl" color="gray.300">Waiting for the host to start the game...</Text>
+      ) : (
+        <>
+          {/* Round clock and price */}
+          <SimpleGrid columns={{ base: 1, md: 3 }} spacing={4} mb={6}>
+            <Box p={4} bg="gray.700" borderRadius="md">
+              <Text color="gray.300">Round</Text>
+              <Text fontSize="3xl" fontWeight="bold">
+                {round.round} / {round.totalRounds}
+              </Text>
+            </Box>
+            <Box p={4} bg="gray.700" borderRadius="md">
+              <Text color="gray.300">Time Left</Text>
+              <Text fontSize="3xl" fontWeight="bold">
+                {results ? "Game over" : hostAway ? "Paused" : roundOpen ? `${roundTimeLeft}s` : "—"}
+              </Text>
+            </Box>
+            <Box p={4} bg="gray.700" borderRadius="md">
+              <Text color="gray.300">Stock Price</Text>
+              <Text fontSize="3xl" fontWeight="bold">
+                {lastPrice !== null ? `$${lastPrice.toFixed(2)}` : "—"}
+              </Text>
+            </Box>
+          </SimpleGrid>
+
+          <MarketNews events={events} />
+
+          <Box mb={6}>
+            <LineChart
+              title="Stock Price"
+              series={[{ name: "Stock", color: "#63B3ED", points: priceHistory.map((p) => ({ x: p.round, y: p.price })) }]}
+              height={200}
+            />
+          </Box>
+
+          <SimpleGrid columns={{ base: 1, md: 2 }} spacing={6}>
+            {/* Each closed round's clearing price and fill count, newest first */}
+            <Box bg="gray.700" borderRadius="md" p={4} textAlign="left">
+              <Text fontWeight="bold" fontSize="xl" mb={3}>Rounds</Text>
+              <Box maxH="360px" overflowY="auto">
+                <Table size="sm" variant="unstyled">
+                  <Thead>
+                    <Tr>
+                      <Th color="gray.300">Rnd</Th>
+                      <Th color="gray.300">Instrument</Th>
+                      <Th color="gray.300" isNumeric>Clearing</Th>
+                      <Th color="gray.300" isNumeric>Fills</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {rounds.length === 0 && (
+                      <Tr>
+                        <Td colSpan={4} color="gray.400" textAlign="center">No rounds closed yet</Td>
+                      </Tr>
+                    )}
+                    {[...rounds].reverse().map((r) => (
+                      <Tr key={r.round}>
+                        <Td>{r.round}</Td>
+                        <Td>{r.instrument ? labelFor(r.instrument) : "All"}</Td>
+                        <Td isNumeric>{r.clearingPrice !== null ? `$${r.clearingPrice.toFixed(2)}` : "—"}</Td>
+                        <Td isNumeric>{r.fills}</Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </Box>
+            </Box>
+
+            {board ? (
+              <LiveLeaderboard leaderboard={board} />
+            ) : (
+              <Box bg="gray.700" borderRadius="md" p={4}>
+                <Text color="gray.300">Leaderboard appears after the first round</Text>
+              </Box>
+            )}
+          </SimpleGrid>
+        </>
+      )}
+    </Box>
+  );
+}
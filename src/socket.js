@@ -9,8 +9,10 @@ const ENDPOINT = process.env.NODE_ENV === 'production'
 // Create the socket connection
 const socket = io(ENDPOINT, {
   transports: ['websocket'],
-  reconnectionAttempts: 5,
-  reconnectionDelay: 1000
+  // keep retrying through a server restart; the session brings players back into their game
+  reconnectionAttempts: Infinity,
+  reconnectionDelay: 1000,
+  reconnectionDelayMax: 5000
 });
 
 // Log connection status
@@ -0,0 +1,78 @@
+// Turn the server's game record into downloadable JSON and CSV files.
+
+// Tables that can be downloaded as CSV, one file each; "config" is the room settings
+export const CSV_TABLES = ["config", "prices", "rounds", "events", "signals", "submissions", "fills", "portfolios", "results"];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Spread nested maps (marks, holdings) into "key.sub" columns
+function flattenRow(row) {
+  const flat = {};
+  Object.entries(row).forEach(([key, value]) => {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.entries(value).forEach(([sub, v]) => {
+        flat[`${key}.${sub}`] = v;
+      });
+    } else {
+      flat[key] = value;
+    }
+  });
+  return flat;
+}
+
+// Rows of objects -> CSV text, with a header of every key seen across the rows
+export function toCsv(records) {
+  const rows = records.map(flattenRow);
+  const columns = [];
+  rows.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+
+  const lines = [columns.map(csvCell).join(",")];
+  rows.forEach((row) => {
+    lines.push(columns.map((key) => csvCell(row[key])).join(","));
+  });
+  return lines.join("\n");
+}
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function baseName(record) {
+  return `game-${record.room}-${record.exportedAt.slice(0, 10)}`;
+}
+
+export function downloadGameJson(record) {
+  download(`${baseName(record)}.json`, JSON.stringify(record, null, 2), "application/json");
+}
+
+// The room settings as key/value pairs
+function settingsRows(record) {
+  const settings = Object.entries(record.config).map(([key, value]) => ({
+    key,
+    value: Array.isArray(value) ? value.join(";") : value,
+  }));
+  settings.push({ key: "volatility", value: record.volatility });
+  return settings;
+}
+
+// One table of the record as a CSV file
+export function downloadGameCsv(record, table) {
+  const rows = table === "config" ? settingsRows(record) : record[table];
+  download(`${baseName(record)}-${table}.csv`, toCsv(rows), "text/csv");
+}
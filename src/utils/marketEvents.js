@@ -0,0 +1,13 @@
+// One-line description of a market event (see server/marketEvents.js), as shown to players
+
+export function describeEvent(event) {
+  let what;
+  if (event.type === "jump") {
+    const sign = event.percent > 0 ? "+" : "";
+    what = `Stock ${event.percent > 0 ? "jumps" : "drops"} ${sign}${event.percent}% to $${event.price.toFixed(2)}`;
+  } else if (event.type === "volatility") {
+    what = event.direction === "up" ? "Volatility rises" : "Volatility falls";
+  }
+  if (what && event.headline) return `${event.headline} · ${what}`;
+  return event.headline || what;
+}
@@ -0,0 +1,25 @@
+// Scoring metrics reported in the final results (see server/scoring.js), in display order.
+// `higherIsBetter` decides the default sort direction of each scoreboard column;
+// `hint` explains the metric to players in the game view.
+
+const money = (value) => `${value >= 0 ? "+" : "-"}$${Math.abs(value).toFixed(2)}`;
+const ratio = (value) => value.toFixed(2);
+
+export const METRICS = [
+  { key: "pnl", label: "P&L", higherIsBetter: true, format: money,
+    hint: "P&L is your profit or loss against your starting cash." },
+  { key: "sharpe", label: "Sharpe", higherIsBetter: true, format: ratio,
+    hint: "Sharpe is your return above the risk-free rate per unit of volatility." },
+  { key: "sortino", label: "Sortino", higherIsBetter: true, format: ratio,
+    hint: "Sortino is like Sharpe but only counts volatility on the way down." },
+  { key: "maxDrawdown", label: "Max Drawdown", higherIsBetter: false, format: (v) => `${(v * 100).toFixed(1)}%`,
+    hint: "Max drawdown is your largest fall from a previous peak." },
+  { key: "calmar", label: "Calmar", higherIsBetter: true, format: ratio,
+    hint: "Calmar is your return divided by your max drawdown." },
+  { key: "returnPerInventory", label: "P&L per Contract Held", higherIsBetter: true, format: money,
+    hint: "P&L per contract held rewards profit made without carrying big positions." },
+];
+
+export function metricFor(key) {
+  return METRICS.find((m) => m.key === key) || METRICS[1];
+}
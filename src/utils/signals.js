@@ -0,0 +1,10 @@
+// One-line description of a private signal (see server/signals.js), e.g.
+// "Final stock price ≈ $104.20 (±5%)"
+
+export function describeSignal(signal) {
+  const spread = `±${(signal.noise * 100).toFixed(0)}%`;
+  if (signal.type === "price") {
+    return `Final stock price ≈ $${signal.value.toFixed(2)} (${spread})`;
+  }
+  return `Volatility ≈ ${(signal.value * 100).toFixed(1)}% (${spread})`;
+}
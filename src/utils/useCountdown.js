@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+
+// Offset between the server clock and ours, from a payload's serverTime
+export function clockOffset(serverTime) {
+  return serverTime - Date.now();
+}
+
+// Whole seconds left until a server timestamp, never negative
+function secondsUntil(deadline, offset) {
+  if (!deadline) return 0;
+  return Math.max(0, Math.ceil((deadline - (Date.now() + offset)) / 1000));
+}
+
+// Seconds left until a server-side deadline, ticking locally.
+// `offset` is the server clock minus the local clock (see clockOffset).
+export default function useCountdown(deadline, offset = 0) {
+  const [secondsLeft, setSecondsLeft] = useState(() => secondsUntil(deadline, offset));
+
+  useEffect(() => {
+    const tick = () => setSecondsLeft(secondsUntil(deadline, offset));
+    tick();
+    const timer = setInterval(tick, 250);
+    return () => clearInterval(timer);
+  }, [deadline, offset]);
+
+  return secondsLeft;
+}
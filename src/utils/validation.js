@@ -0,0 +1,47 @@
+// Validate price format: must be a number with at most one decimal place, or, when the
+// room's priceRules ({ minPrice, maxPrice, tickSize }) are known, within range and on the tick.
+// Returns an error message, or "" when valid (empty input is valid but won't submit).
+export function validatePrice(value, label = "Bid", rules = null) {
+  if (value === "") return "";
+
+  // Check if it's a valid number format ("." or "-" alone match the pattern but don't parse)
+  const price = parseFloat(value);
+  if (!/^-?\d*\.?\d*$/.test(value) || !Number.isFinite(price)) {
+    return `${label} must be a number`;
+  }
+
+  if (!rules) {
+    // If there's a decimal point, ensure there's only one digit after it
+    if (value.includes('.') && value.split('.')[1].length > 1) {
+      return `${label} can only have one decimal place`;
+    }
+    return "";
+  }
+
+  // Same checks the server makes, so most rejections are caught before submitting
+  if (price < rules.minPrice || price > rules.maxPrice) {
+    return `${label} must be between ${rules.minPrice} and ${rules.maxPrice}`;
+  }
+  const ticks = price / rules.tickSize;
+  if (Math.abs(ticks - Math.round(ticks)) > 1e-6) {
+    return `${label} must be a multiple of ${rules.tickSize}`;
+  }
+
+  return "";
+}
+
+// Validate a quote size: whole number of contracts between 1 and max
+export function validateSize(value, max, label = "Size") {
+  if (value === "") return "";
+
+  if (!/^\d+$/.test(value)) {
+    return `${label} must be a whole number`;
+  }
+
+  const size = parseInt(value, 10);
+  if (size < 1 || size > max) {
+    return `${label} must be between 1 and ${max}`;
+  }
+
+  return "";
+}
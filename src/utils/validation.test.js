@@ -0,0 +1,30 @@
+import { validatePrice, validateSize } from './validation';
+
+const RULES = { minPrice: 0, maxPrice: 100, tickSize: 0.5 };
+
+test('a sign or decimal point on its own is not a number', () => {
+  ['.', '-', '-.'].forEach((value) => {
+    expect(validatePrice(value)).toBe('Bid must be a number');
+    expect(validatePrice(value, 'Ask', RULES)).toBe('Ask must be a number');
+  });
+});
+
+test('prices follow the room rules when known', () => {
+  expect(validatePrice('', 'Bid', RULES)).toBe('');
+  expect(validatePrice('12.5', 'Bid', RULES)).toBe('');
+  expect(validatePrice('12.25', 'Bid', RULES)).toBe('Bid must be a multiple of 0.5');
+  expect(validatePrice('101', 'Bid', RULES)).toBe('Bid must be between 0 and 100');
+  expect(validatePrice('1e3', 'Bid', RULES)).toBe('Bid must be a number');
+});
+
+test('without rules a price may have one decimal place', () => {
+  expect(validatePrice('3.5')).toBe('');
+  expect(validatePrice('3.55')).toBe('Bid can only have one decimal place');
+});
+
+test('sizes are whole numbers within the limit', () => {
+  expect(validateSize('3', 5)).toBe('');
+  expect(validateSize('0', 5)).toBe('Size must be between 1 and 5');
+  expect(validateSize('6', 5)).toBe('Size must be between 1 and 5');
+  expect(validateSize('1.5', 5)).toBe('Size must be a whole number');
+});